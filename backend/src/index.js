@@ -1,13 +1,22 @@
 require('dotenv').config();
+const http = require('http');
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
+const realtimeService = require('./services/realtimeService');
+const { sanitizeRequest } = require('./middleware/sanitize');
 
 const app = express();
 
 // Middleware
 app.use(cors());
 app.use(express.json());
+app.use(sanitizeRequest);
+
+// Product photos stored by the local storage adapter
+if ((process.env.STORAGE_DRIVER || 'local') === 'local') {
+  app.use('/uploads', express.static(process.env.UPLOAD_DIR || 'uploads', { maxAge: '365d', immutable: true }));
+}
 
 // Health check route
 app.get('/api/health', (req, res) => {
@@ -16,9 +25,29 @@ app.get('/api/health', (req, res) => {
 
 const authRoutes = require('./routes/auth');
 const productRoutes = require('./routes/products');
+const userRoutes = require('./routes/users');
+const reviewRoutes = require('./routes/reviews');
+const orderRoutes = require('./routes/orders');
+const conversationRoutes = require('./routes/conversations');
+const savedSearchRoutes = require('./routes/savedSearches');
+const favoriteRoutes = require('./routes/favorites');
+const notificationRoutes = require('./routes/notifications');
+const feedRoutes = require('./routes/feed');
+const reportRoutes = require('./routes/reports');
+const moderationRoutes = require('./routes/moderation');
 
 app.use('/api/auth', authRoutes);
 app.use('/api/products', productRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/orders', orderRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/favorites', favoriteRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/feed', feedRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/moderation', moderationRoutes);
 
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI, {
@@ -29,7 +58,12 @@ mongoose.connect(process.env.MONGODB_URI, {
   console.log('MongoDB connected');
   // Start server only after DB connection
   const PORT = process.env.PORT || 5000;
-  app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+  const server = http.createServer(app);
+
+  // Realtime updates share the HTTP server
+  realtimeService.attach(server, '/ws');
+
+  server.listen(PORT, () => console.log(`Server running on port ${PORT}`));
 })
 .catch((err) => {
   console.error('MongoDB connection error:', err);
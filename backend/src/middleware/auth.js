@@ -1,5 +1,59 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const sessionService = require('../services/sessionService');
+const { createError } = require('../utils/helpers');
+
+// Verify a JWT, load its user and check its session is still live
+const resolveToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Check if token has required fields
+  if (!decoded.id || !decoded.email || !decoded.role || !decoded.sid) {
+    throw createError(401, 'Invalid token structure.');
+  }
+
+  // Find user in database
+  const user = await User.findById(decoded.id).select('-password');
+  if (!user) {
+    throw createError(401, 'User not found. Token may be invalid.');
+  }
+
+  // Tokens issued before the last password change are void (iat is in seconds)
+  const passwordChangedAt = Math.floor(new Date(user.security.lastPasswordChange).getTime() / 1000);
+  if (decoded.iat < passwordChangedAt) {
+    throw createError(401, 'Password was changed. Please log in again.');
+  }
+
+  // Logged-out or revoked sessions can't be used
+  const sessionActive = await sessionService.isSessionActive(decoded.sid, user._id);
+  if (!sessionActive) {
+    throw createError(401, 'Session has ended. Please log in again.');
+  }
+
+  return { user, sessionId: decoded.sid };
+};
+
+// Resolve a token and require an active account; shared by the HTTP middleware and the realtime channel
+const authenticateToken = async (token) => {
+  const { user, sessionId } = await resolveToken(token);
+
+  // Check if user account is active
+  if (user.verification && !user.verification.emailVerified) {
+    throw createError(403, 'Email verification required. Please verify your email address.');
+  }
+
+  // Check if account is locked
+  if (user.isLocked && user.isLocked()) {
+    throw createError(423, 'Account is temporarily locked due to security concerns.');
+  }
+
+  // Check if a moderator has suspended the account
+  if (user.isSuspended && user.isSuspended()) {
+    throw createError(403, 'Account is suspended.');
+  }
+
+  return { user, sessionId };
+};
 
 // Authentication middleware with role-based access control
 const auth = (allowedRoles = []) => {
@@ -15,37 +69,8 @@ const auth = (allowedRoles = []) => {
 
       const token = authHeader.substring(7); // Remove 'Bearer ' prefix
 
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      
-      // Check if token has required fields
-      if (!decoded.id || !decoded.email || !decoded.role) {
-        return res.status(401).json({ 
-          error: 'Invalid token structure.' 
-        });
-      }
-
-      // Find user in database
-      const user = await User.findById(decoded.id).select('-password');
-      if (!user) {
-        return res.status(401).json({ 
-          error: 'User not found. Token may be invalid.' 
-        });
-      }
-
-      // Check if user account is active
-      if (user.verification && !user.verification.emailVerified) {
-        return res.status(403).json({ 
-          error: 'Email verification required. Please verify your email address.' 
-        });
-      }
-
-      // Check if account is locked
-      if (user.isLocked && user.isLocked()) {
-        return res.status(423).json({ 
-          error: 'Account is temporarily locked due to security concerns.' 
-        });
-      }
+      // Verify token and load the user
+      const { user, sessionId } = await authenticateToken(token);
 
       // Role-based access control
       if (allowedRoles.length > 0 && !allowedRoles.includes(user.role)) {
@@ -59,7 +84,8 @@ const auth = (allowedRoles = []) => {
         id: user._id,
         email: user.email,
         role: user.role,
-        name: user.name
+        name: user.name,
+        sessionId
       };
 
       // Add full user object if needed for specific operations
@@ -67,6 +93,10 @@ const auth = (allowedRoles = []) => {
 
       next();
     } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+
       console.error('Authentication middleware error:', error);
       
       if (error.name === 'JsonWebTokenError') {
@@ -102,15 +132,15 @@ const optionalAuth = async (req, res, next) => {
     const token = authHeader.substring(7);
 
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.id).select('-password');
+      const { user, sessionId } = await resolveToken(token);
       
-      if (user && !user.isLocked()) {
+      if (user && !user.isLocked() && !user.isSuspended()) {
         req.user = {
           id: user._id,
           email: user.email,
           role: user.role,
-          name: user.name
+          name: user.name,
+          sessionId
         };
         req.userFull = user;
       } else {
@@ -162,16 +192,24 @@ const strictApiLimiter = createRateLimiter(
 );
 
 // Request validation middleware
-const validateRequest = (schema) => {
+const validateRequest = (schema, property = 'body') => {
   return (req, res, next) => {
     try {
-      const { error } = schema.validate(req.body);
+      const { error, value } = schema.validate(req[property] || {}, {
+        abortEarly: false,
+        errors: { wrap: { label: false } }
+      });
       if (error) {
         return res.status(400).json({
           error: 'Validation error',
-          details: error.details.map(detail => detail.message)
+          details: error.details.map(detail => ({
+            field: detail.path.join('.'),
+            message: detail.message
+          }))
         });
       }
+      // Routes see the validated value, with numbers and booleans coerced and unknown-safe fields stripped
+      req[property] = value;
       next();
     } catch (error) {
       console.error('Request validation error:', error);
@@ -262,6 +300,7 @@ const securityHeaders = (req, res, next) => {
 
 module.exports = {
   auth,
+  authenticateToken,
   optionalAuth,
   apiLimiter,
   strictApiLimiter,
@@ -0,0 +1,33 @@
+// Remove keys that MongoDB would read as operators ($gt, $where, ...) from parsed input.
+// Express parses nested query strings (?price[$gt]=0) and JSON bodies into objects, so
+// without this a client could smuggle operators into queries built from request data.
+const stripOperatorKeys = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(stripOperatorKeys);
+  }
+
+  if (value && typeof value === 'object' && !Buffer.isBuffer(value)) {
+    Object.keys(value).forEach(key => {
+      if (key.startsWith('$')) {
+        delete value[key];
+      } else {
+        value[key] = stripOperatorKeys(value[key]);
+      }
+    });
+  }
+
+  return value;
+};
+
+// Sanitize req.body and req.query in place
+const sanitizeRequest = (req, res, next) => {
+  ['body', 'query'].forEach(property => {
+    if (req[property]) stripOperatorKeys(req[property]);
+  });
+  next();
+};
+
+module.exports = {
+  sanitizeRequest,
+  stripOperatorKeys
+};
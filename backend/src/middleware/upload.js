@@ -0,0 +1,72 @@
+const multer = require('multer');
+
+// Limits for product photo uploads
+const MAX_IMAGE_SIZE = 10 * 1024 * 1024; // 10 MB
+const MAX_IMAGES_PER_UPLOAD = 10;
+const ALLOWED_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Keep uploads in memory; the image pipeline re-encodes them before storage
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_SIZE, files: MAX_IMAGES_PER_UPLOAD },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+      error.message = `${file.originalname} must be a JPEG, PNG or WebP image`;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+// Accept up to MAX_IMAGES_PER_UPLOAD files in the "images" field, answering 400 on bad uploads
+const uploadImages = (req, res, next) => {
+  upload.array('images', MAX_IMAGES_PER_UPLOAD)(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? `Images must be ${MAX_IMAGE_SIZE / (1024 * 1024)} MB or smaller`
+        : err.message;
+      return res.status(400).json({ error: message });
+    }
+    if (err) return next(err);
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'At least one image is required in the "images" field' });
+    }
+    next();
+  });
+};
+
+// Product import files (CSV or NDJSON) are parsed from memory too
+const MAX_IMPORT_FILE_SIZE = 5 * 1024 * 1024; // 5 MB
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_FILE_SIZE, files: 1 }
+});
+
+// Accept one import file in the "file" field, answering 400 on bad uploads
+const uploadImportFile = (req, res, next) => {
+  importUpload.single('file')(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? `Import files must be ${MAX_IMPORT_FILE_SIZE / (1024 * 1024)} MB or smaller`
+        : err.message;
+      return res.status(400).json({ error: message });
+    }
+    if (err) return next(err);
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'A CSV or NDJSON file is required in the "file" field' });
+    }
+    next();
+  });
+};
+
+module.exports = {
+  uploadImages,
+  uploadImportFile,
+  MAX_IMAGE_SIZE,
+  MAX_IMPORT_FILE_SIZE,
+  ALLOWED_MIME_TYPES
+};
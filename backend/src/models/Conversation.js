@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const conversationSchema = new mongoose.Schema({
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  buyer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  seller: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  lastMessage: {
+    body: { type: String },
+    sender: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    sentAt: { type: Date }
+  },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// One thread per buyer per listing
+conversationSchema.index({ product: 1, buyer: 1 }, { unique: true });
+
+// Indexes for efficient querying
+conversationSchema.index({ buyer: 1, updatedAt: -1 });
+conversationSchema.index({ seller: 1, updatedAt: -1 });
+
+// Update timestamp on save
+conversationSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Instance method to check whether a user takes part in the thread
+conversationSchema.methods.hasParticipant = function(userId) {
+  const id = userId.toString();
+  return this.buyer.toString() === id || this.seller.toString() === id;
+};
+
+// Instance method returning the other participant's id
+conversationSchema.methods.otherParticipant = function(userId) {
+  return this.buyer.toString() === userId.toString() ? this.seller : this.buyer;
+};
+
+module.exports = mongoose.model('Conversation', conversationSchema);
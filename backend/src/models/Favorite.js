@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+const favoriteSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  // Price when the listing was saved; drops below it trigger an alert
+  savedPrice: { type: Number, required: true, min: 0 },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// One favorite per user per product
+favoriteSchema.index({ user: 1, product: 1 }, { unique: true });
+
+// Indexes for efficient querying
+favoriteSchema.index({ user: 1, createdAt: -1 });
+favoriteSchema.index({ product: 1 });
+
+module.exports = mongoose.model('Favorite', favoriteSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+const messageSchema = new mongoose.Schema({
+  conversation: { type: mongoose.Schema.Types.ObjectId, ref: 'Conversation', required: true },
+  sender: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  recipient: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  body: { type: String, required: true, trim: true, maxlength: 2000 },
+  readAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Indexes for efficient querying
+messageSchema.index({ conversation: 1, createdAt: -1 });
+messageSchema.index({ recipient: 1, readAt: 1 });
+
+// Static method counting unread messages for a user, optionally within one thread
+messageSchema.statics.countUnread = function(userId, conversationId = null) {
+  const query = { recipient: userId, readAt: null };
+  if (conversationId) query.conversation = conversationId;
+  return this.countDocuments(query);
+};
+
+module.exports = mongoose.model('Message', messageSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// What moderators can do, by target
+const MODERATION_ACTIONS = {
+  Product: ['hide', 'restore', 'remove'],
+  User: ['warn', 'suspend', 'reinstate'],
+  Report: ['dismiss']
+};
+
+// Audit record of a moderator's action; never updated or deleted
+const moderationActionSchema = new mongoose.Schema({
+  moderator: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  action: { type: String, enum: Object.values(MODERATION_ACTIONS).flat(), required: true },
+  targetType: { type: String, enum: Object.keys(MODERATION_ACTIONS), required: true },
+  target: { type: mongoose.Schema.Types.ObjectId, refPath: 'targetType', required: true },
+  reason: { type: String, required: true, maxlength: 1000 },
+  // Reports the action closed
+  reports: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Report' }],
+  // Action specifics, e.g. the end of a suspension or the name of a removed listing
+  details: { type: mongoose.Schema.Types.Mixed },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Indexes for efficient querying
+moderationActionSchema.index({ targetType: 1, target: 1, createdAt: -1 });
+moderationActionSchema.index({ moderator: 1, createdAt: -1 });
+moderationActionSchema.index({ createdAt: -1 });
+
+moderationActionSchema.statics.ACTIONS = MODERATION_ACTIONS;
+
+module.exports = mongoose.model('ModerationAction', moderationActionSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Every kind of notification the backend produces
+const NOTIFICATION_TYPES = [
+  'order.created',
+  'order.updated',
+  'message.created',
+  'review.created',
+  'inventory.lowStock',
+  'inventory.outOfStock',
+  'savedSearch.match',
+  'favorite.priceDrop',
+  'favorite.backInStock',
+  'favorite.sold',
+  'moderation.action'
+];
+
+const notificationSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: { type: String, enum: NOTIFICATION_TYPES, required: true },
+  title: { type: String, required: true, maxlength: 200 },
+  body: { type: String, maxlength: 1000 },
+  // Frontend route the notification links to, e.g. /products/123
+  path: { type: String },
+  data: { type: mongoose.Schema.Types.Mixed },
+  readAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Indexes for efficient querying
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+notificationSchema.statics.TYPES = NOTIFICATION_TYPES;
+
+module.exports = mongoose.model('Notification', notificationSchema);
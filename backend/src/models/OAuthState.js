@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// Pending OAuth authorization requests, consumed once by the callback
+const oauthStateSchema = new mongoose.Schema({
+  state: { type: String, required: true, unique: true },
+  provider: { type: String, required: true },
+  codeVerifier: { type: String, required: true },
+  // Set when a signed-in user is linking a provider rather than logging in
+  linkUser: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  expiresAt: { type: Date, required: true }
+});
+
+// Let MongoDB remove abandoned requests once they expire
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OAuthState', oauthStateSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const orderSchema = new mongoose.Schema({
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  buyer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  seller: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  quantity: { type: Number, required: true, min: 1 },
+  unitPrice: { type: Number, required: true, min: 0 },
+  shippingCost: { type: Number, default: 0, min: 0 },
+  totalPrice: { type: Number, required: true, min: 0 },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'fulfilled', 'cancelled'],
+    default: 'pending',
+    index: true
+  },
+  note: { type: String, maxlength: 500 },
+  statusHistory: [{
+    status: { type: String, required: true },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reason: { type: String },
+    changedAt: { type: Date, default: Date.now }
+  }],
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Indexes for efficient querying
+orderSchema.index({ buyer: 1, createdAt: -1 });
+orderSchema.index({ seller: 1, createdAt: -1 });
+orderSchema.index({ product: 1, status: 1 });
+
+// Update timestamp on save
+orderSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Statuses in which the order still holds inventory
+orderSchema.statics.OPEN_STATUSES = ['pending', 'accepted'];
+
+// Allowed status transitions
+orderSchema.statics.TRANSITIONS = {
+  pending: ['accepted', 'declined', 'cancelled'],
+  accepted: ['fulfilled', 'cancelled'],
+  declined: [],
+  fulfilled: [],
+  cancelled: []
+};
+
+// Instance method to check whether the order can move to a new status
+orderSchema.methods.canTransitionTo = function(status) {
+  return this.constructor.TRANSITIONS[this.status].includes(status);
+};
+
+module.exports = mongoose.model('Order', orderSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { escapeRegex, toFiniteNumber } = require('../utils/helpers');
+const { SUGGEST_FIELDS, buildSuggestTokens } = require('../utils/suggest');
 
 const productSchema = new mongoose.Schema({
   name: { type: String, required: true, index: 'text' },
@@ -22,7 +24,9 @@ const productSchema = new mongoose.Schema({
   inventory: {
     quantity: { type: Number, default: 0, min: 0 },
     sku: { type: String, unique: true, sparse: true },
-    lowStockThreshold: { type: Number, default: 5 }
+    lowStockThreshold: { type: Number, default: 5 },
+    // Set when the listing was paused automatically for running out; restocking reactivates it
+    autoDeactivated: { type: Boolean, default: false }
   },
   location: {
     lat: { type: Number, required: true },
@@ -30,17 +34,35 @@ const productSchema = new mongoose.Schema({
     address: { type: String },
     city: { type: String, index: true },
     state: { type: String, index: true },
-    zipCode: { type: String }
+    zipCode: { type: String },
+    // GeoJSON copy of lat/lng for $geoNear queries; kept in sync by the hooks below
+    point: {
+      type: { type: String, enum: ['Point'] },
+      coordinates: { type: [Number], default: undefined }
+    }
   },
   images: [{ 
     url: { type: String, required: true },
     alt: { type: String },
-    isPrimary: { type: Boolean, default: false }
+    isPrimary: { type: Boolean, default: false },
+    // Set for images uploaded through the image pipeline
+    thumbnailUrl: { type: String },
+    variants: [{
+      url: { type: String },
+      width: { type: Number },
+      height: { type: Number }
+    }],
+    width: { type: Number },
+    height: { type: Number },
+    storageKeys: { type: [String], select: false }
   }],
   ratings: {
     average: { type: Number, default: 0, min: 0, max: 5 },
     count: { type: Number, default: 0 }
   },
+  favoriteCount: { type: Number, default: 0, min: 0 },
+  // Prefix and trigram tokens of name/brand/tags/category for suggestions; rebuilt by the hooks below
+  suggestTokens: { type: [String], select: false },
   tags: [{ type: String, index: true }],
   specifications: { type: Map, of: String },
   shipping: {
@@ -59,19 +81,27 @@ const productSchema = new mongoose.Schema({
     default: 'active',
     index: true
   },
+  // Set by moderators; hidden listings are left out of search, lists and feeds
+  moderation: {
+    hidden: { type: Boolean, default: false },
+    reason: { type: String },
+    hiddenAt: { type: Date },
+    hiddenBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
   createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
 
 // Indexes for efficient querying
-productSchema.index({ location: '2dsphere' });
+productSchema.index({ 'location.point': '2dsphere' });
 productSchema.index({ createdBy: 1 });
 productSchema.index({ category: 1, subcategory: 1 });
 productSchema.index({ price: 1 });
 productSchema.index({ status: 1, createdAt: -1 });
 productSchema.index({ 'ratings.average': -1 });
 productSchema.index({ 'inventory.quantity': 1 });
+productSchema.index({ status: 1, suggestTokens: 1 });
 
 // Text search index
 productSchema.index({ name: 'text', description: 'text', brand: 'text' });
@@ -82,6 +112,115 @@ productSchema.pre('save', function(next) {
   next();
 });
 
+// GeoJSON point ([lng, lat]) for a lat/lng pair, or undefined if either is missing
+const toGeoPoint = (lat, lng) => {
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return undefined;
+  return { type: 'Point', coordinates: [lng, lat] };
+};
+
+// Keep location.point in sync with lat/lng on saves
+productSchema.pre('validate', function(next) {
+  if (this.location && (this.isNew || this.isModified('location'))) {
+    this.location.point = toGeoPoint(this.location.lat, this.location.lng);
+  }
+  next();
+});
+
+// ...and on updates that replace the location or set its coordinates
+productSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function(next) {
+  const update = this.getUpdate();
+  if (!update || Array.isArray(update)) return next();
+
+  const target = update.$set || update;
+  if (target.location) {
+    const point = toGeoPoint(Number(target.location.lat), Number(target.location.lng));
+    if (point) target.location = { ...target.location, point };
+  } else if (target['location.lat'] !== undefined && target['location.lng'] !== undefined) {
+    target['location.point'] = toGeoPoint(Number(target['location.lat']), Number(target['location.lng']));
+  }
+  next();
+});
+
+// Rebuild suggestion tokens when a saved product's name, brand, tags or category change
+productSchema.pre('validate', function(next) {
+  if (this.isNew || SUGGEST_FIELDS.some(field => this.isModified(field))) {
+    this.suggestTokens = buildSuggestTokens(this);
+  }
+  next();
+});
+
+// Updates only carry the changed fields, so reload the product afterwards to rebuild its tokens
+productSchema.pre('findOneAndUpdate', function(next) {
+  const update = this.getUpdate() || {};
+  const changed = [update, update.$set, update.$push, update.$addToSet, update.$pull, update.$unset];
+  this.refreshSuggestTokens = SUGGEST_FIELDS.some(field => changed.some(part => part && field in part));
+  next();
+});
+
+// The update itself has already been written, so a failure here is logged rather than
+// failing it; backfillSuggestTokens can repair the tokens later
+productSchema.post('findOneAndUpdate', async function() {
+  if (!this.refreshSuggestTokens) return;
+  try {
+    const product = await this.model.findOne(this.getQuery()).select(SUGGEST_FIELDS.join(' ')).lean();
+    if (product) {
+      await this.model.updateOne({ _id: product._id }, { $set: { suggestTokens: buildSuggestTokens(product) } });
+    }
+  } catch (error) {
+    console.error('Rebuilding product suggestion tokens failed:', error);
+  }
+});
+
+// Suggestion tokens are internal to search; keep them out of API responses
+productSchema.set('toJSON', {
+  transform(doc, ret) {
+    delete ret.suggestTokens;
+    return ret;
+  }
+});
+
+// Backfill suggestion tokens for products saved before they existed; returns the number updated
+productSchema.statics.backfillSuggestTokens = async function(batchSize = 500) {
+  const cursor = this.find({ suggestTokens: { $exists: false } }).select(SUGGEST_FIELDS.join(' ')).lean().cursor();
+  let batch = [];
+  let updated = 0;
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    const result = await this.bulkWrite(batch, { ordered: false });
+    updated += result.modifiedCount;
+    batch = [];
+  };
+
+  for await (const product of cursor) {
+    batch.push({
+      updateOne: {
+        filter: { _id: product._id },
+        update: { $set: { suggestTokens: buildSuggestTokens(product) } }
+      }
+    });
+    if (batch.length >= batchSize) await flush();
+  }
+  await flush();
+  return updated;
+};
+
+// Backfill location.point for products saved before it existed; returns the number updated
+productSchema.statics.backfillGeoPoints = async function() {
+  const result = await this.updateMany(
+    {
+      'location.point.coordinates': { $exists: false },
+      'location.lat': { $type: 'number' },
+      'location.lng': { $type: 'number' }
+    },
+    [{ $set: { 'location.point': { type: 'Point', coordinates: ['$location.lng', '$location.lat'] } } }]
+  );
+  return result.modifiedCount;
+};
+
+// Filter for listings moderators haven't hidden
+productSchema.statics.VISIBLE = { 'moderation.hidden': { $ne: true } };
+
 // Virtual for discount percentage
 productSchema.virtual('discountPercentage').get(function() {
   if (this.originalPrice && this.price < this.originalPrice) {
@@ -97,54 +236,63 @@ productSchema.virtual('stockStatus').get(function() {
   return 'in-stock';
 });
 
-// Static method for advanced search
+const EARTH_RADIUS_KM = 6378.1;
+
+// Static method for advanced search. Filters come from query strings, so only plain
+// strings and finite numbers are used; anything else (e.g. an injected operator object) is ignored.
 productSchema.statics.advancedSearch = function(filters) {
-  const query = {};
-  
-  if (filters.text) {
-    query.$text = { $search: filters.text };
+  const query = { ...this.VISIBLE };
+  const text = (field) => (typeof filters[field] === 'string' && filters[field] !== '' ? filters[field] : undefined);
+  const number = (field) => toFiniteNumber(filters[field]);
+
+  if (text('text')) {
+    query.$text = { $search: text('text') };
   }
   
-  if (filters.category) {
-    query.category = filters.category;
+  if (text('category')) {
+    query.category = text('category');
   }
   
-  if (filters.subcategory) {
-    query.subcategory = filters.subcategory;
+  if (text('subcategory')) {
+    query.subcategory = text('subcategory');
   }
   
-  if (filters.brand) {
-    query.brand = { $regex: filters.brand, $options: 'i' };
+  // Literal, prefix-anchored match so user input can't build an expensive pattern
+  if (text('brand')) {
+    query.brand = { $regex: `^${escapeRegex(text('brand'))}`, $options: 'i' };
   }
   
-  if (filters.minPrice || filters.maxPrice) {
+  const minPrice = number('minPrice');
+  const maxPrice = number('maxPrice');
+  if (minPrice !== undefined || maxPrice !== undefined) {
     query.price = {};
-    if (filters.minPrice) query.price.$gte = filters.minPrice;
-    if (filters.maxPrice) query.price.$lte = filters.maxPrice;
+    if (minPrice !== undefined) query.price.$gte = minPrice;
+    if (maxPrice !== undefined) query.price.$lte = maxPrice;
   }
   
-  if (filters.condition) {
-    query.condition = filters.condition;
+  if (text('condition')) {
+    query.condition = text('condition');
   }
   
-  if (filters.status) {
-    query.status = filters.status;
+  if (text('status')) {
+    query.status = text('status');
   }
   
-  if (filters.minRating) {
-    query['ratings.average'] = { $gte: filters.minRating };
+  if (number('minRating') !== undefined) {
+    query['ratings.average'] = { $gte: number('minRating') };
   }
   
-  if (filters.inStock) {
+  if (filters.inStock === true || filters.inStock === 'true') {
     query['inventory.quantity'] = { $gt: 0 };
   }
   
-  if (filters.location && filters.radius) {
-    const center = [Number(filters.location.lng), Number(filters.location.lat)];
-    const radiusInMeters = Number(filters.radius) * 1000;
-    query.location = {
+  const radius = number('radius');
+  const lat = toFiniteNumber(filters.location?.lat);
+  const lng = toFiniteNumber(filters.location?.lng);
+  if (radius !== undefined && lat !== undefined && lng !== undefined) {
+    query['location.point'] = {
       $geoWithin: {
-        $centerSphere: [center, radiusInMeters / 6378137]
+        $centerSphere: [[lng, lat], radius / EARTH_RADIUS_KM]
       }
     };
   }
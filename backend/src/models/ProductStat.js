@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Per-product, per-day activity counters. Views and impressions count each viewer
+// (user or anonymous session) once per day; see ProductViewMark.
+const productStatSchema = new mongoose.Schema({
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  // Start of the UTC day the counters cover
+  day: { type: Date, required: true },
+  views: { type: Number, default: 0, min: 0 },
+  // Appearances in search results, with the 1-based result positions they were shown at
+  impressions: { type: Number, default: 0, min: 0 },
+  positionTotal: { type: Number, default: 0, min: 0 },
+  bestPosition: { type: Number, min: 1 }
+});
+
+// One document per product per day
+productStatSchema.index({ product: 1, day: 1 }, { unique: true });
+
+// Indexes for efficient querying
+productStatSchema.index({ day: 1 });
+
+module.exports = mongoose.model('ProductStat', productStatSchema);
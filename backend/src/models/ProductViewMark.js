@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Marks that a viewer has been counted for a product today, so repeat views and
+// impressions within the day aren't counted again. Expire once the day is over.
+const productViewMarkSchema = new mongoose.Schema({
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  kind: { type: String, enum: ['view', 'impression'], required: true },
+  // "user:<id>" for signed-in viewers, "session:<hash>" otherwise
+  viewer: { type: String, required: true },
+  day: { type: Date, required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// One mark per viewer per product per kind per day
+productViewMarkSchema.index({ product: 1, kind: 1, viewer: 1, day: 1 }, { unique: true });
+
+// Remove marks after two days
+productViewMarkSchema.index({ createdAt: 1 }, { expireAfterSeconds: 2 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ProductViewMark', productViewMarkSchema);
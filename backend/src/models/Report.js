@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Why a listing or user can be reported
+const REPORT_REASONS = ['spam', 'scam', 'prohibited-item', 'counterfeit', 'offensive', 'harassment', 'other'];
+
+const reportSchema = new mongoose.Schema({
+  reporter: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // What was reported: a Product or a User
+  targetType: { type: String, enum: ['Product', 'User'], required: true },
+  target: { type: mongoose.Schema.Types.ObjectId, refPath: 'targetType', required: true },
+  reason: { type: String, enum: REPORT_REASONS, required: true },
+  details: { type: String, maxlength: 1000 },
+  status: {
+    type: String,
+    enum: ['open', 'resolved', 'dismissed'],
+    default: 'open',
+    index: true
+  },
+  // The moderation action that closed the report
+  resolution: { type: mongoose.Schema.Types.ObjectId, ref: 'ModerationAction' },
+  resolvedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// One open report per reporter per target
+reportSchema.index(
+  { reporter: 1, targetType: 1, target: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+
+// Indexes for efficient querying
+reportSchema.index({ status: 1, createdAt: 1 });
+reportSchema.index({ targetType: 1, target: 1, status: 1 });
+
+// Update timestamp on save
+reportSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+reportSchema.statics.REASONS = REPORT_REASONS;
+
+module.exports = mongoose.model('Report', reportSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const reviewSchema = new mongoose.Schema({
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  reviewer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  seller: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  rating: { type: Number, required: true, min: 1, max: 5 },
+  title: { type: String, trim: true, maxlength: 100 },
+  comment: { type: String, trim: true, maxlength: 2000 },
+  helpfulVotes: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  helpfulCount: { type: Number, default: 0, min: 0 },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// One review per user per product
+reviewSchema.index({ product: 1, reviewer: 1 }, { unique: true });
+
+// Indexes for efficient querying
+reviewSchema.index({ product: 1, createdAt: -1 });
+reviewSchema.index({ seller: 1, createdAt: -1 });
+reviewSchema.index({ product: 1, helpfulCount: -1 });
+
+// Update timestamp on save
+reviewSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Static method computing the average rating and count for a filter
+reviewSchema.statics.computeAggregates = async function(match, session = null) {
+  const [result] = await this.aggregate([
+    { $match: match },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]).session(session);
+
+  return {
+    average: result ? Math.round(result.average * 10) / 10 : 0,
+    count: result ? result.count : 0
+  };
+};
+
+module.exports = mongoose.model('Review', reviewSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const savedSearchSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  criteria: {
+    text: { type: String, trim: true, maxlength: 200 },
+    category: {
+      type: String,
+      enum: ['electronics', 'clothing', 'books', 'sports', 'home', 'automotive', 'health', 'beauty', 'food', 'other']
+    },
+    condition: { type: String, enum: ['new', 'like-new', 'good', 'fair', 'poor'] },
+    minPrice: { type: Number, min: 0 },
+    maxPrice: { type: Number, min: 0 },
+    lat: { type: Number, min: -90, max: 90 },
+    lng: { type: Number, min: -180, max: 180 },
+    radius: { type: Number, min: 1, max: 500 }
+  },
+  alertsEnabled: { type: Boolean, default: true },
+  lastAlertAt: { type: Date },
+  alertCount: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Indexes for efficient querying
+savedSearchSchema.index({ user: 1, createdAt: -1 });
+savedSearchSchema.index({ alertsEnabled: 1, 'criteria.category': 1 });
+
+// Update timestamp on save
+savedSearchSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Location needs all three of lat, lng and radius
+savedSearchSchema.pre('validate', function(next) {
+  const { lat, lng, radius } = this.criteria || {};
+  const provided = [lat, lng, radius].filter(value => value !== undefined && value !== null).length;
+  if (provided !== 0 && provided !== 3) {
+    this.invalidate('criteria.radius', 'lat, lng and radius must be provided together');
+  }
+  next();
+});
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // Only hashes are stored; the previous hash is kept to detect refresh token reuse
+  refreshTokenHash: { type: String, required: true },
+  previousTokenHash: { type: String },
+  userAgent: { type: String },
+  ip: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true }
+});
+
+// Indexes for efficient querying
+sessionSchema.index({ user: 1, lastUsedAt: -1 });
+
+// Let MongoDB remove sessions once they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for expiry check (the TTL monitor only runs periodically)
+sessionSchema.virtual('isExpired').get(function() {
+  return this.expiresAt <= Date.now();
+});
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -27,7 +27,16 @@ const userSchema = new mongoose.Schema({
     notifications: {
       email: { type: Boolean, default: true },
       push: { type: Boolean, default: true },
-      sms: { type: Boolean, default: false }
+      sms: { type: Boolean, default: false },
+      // Per-type overrides of the channel toggles above, e.g. no email for message.created
+      types: [{
+        _id: false,
+        type: { type: String, required: true },
+        inApp: { type: Boolean },
+        email: { type: Boolean },
+        push: { type: Boolean },
+        sms: { type: Boolean }
+      }]
     },
     privacy: {
       profileVisibility: { type: String, enum: ['public', 'friends', 'private'], default: 'public' },
@@ -35,6 +44,8 @@ const userSchema = new mongoose.Schema({
       showEmail: { type: Boolean, default: false }
     },
     searchRadius: { type: Number, default: 50, min: 1, max: 500 },
+    // Pause listings that run out of stock instead of leaving them active
+    autoDeactivateOutOfStock: { type: Boolean, default: false },
     preferredCategories: [{ type: String }],
     language: { type: String, default: 'en' },
     currency: { type: String, default: 'USD' }
@@ -62,7 +73,23 @@ const userSchema = new mongoose.Schema({
     lockUntil: { type: Date },
     lastPasswordChange: { type: Date, default: Date.now },
     twoFactorEnabled: { type: Boolean, default: false },
-    twoFactorSecret: { type: String }
+    // 2FA secrets are never loaded unless explicitly selected
+    twoFactorSecret: { type: String, select: false },
+    twoFactorRecoveryCodes: { type: [String], select: false },
+    twoFactorLastUsedStep: { type: Number, select: false }
+  },
+  // Set by moderators
+  moderation: {
+    warnings: [{
+      _id: false,
+      reason: { type: String, required: true },
+      moderator: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      createdAt: { type: Date, default: Date.now }
+    }],
+    suspended: { type: Boolean, default: false },
+    // Open-ended when unset
+    suspendedUntil: { type: Date },
+    suspensionReason: { type: String }
   },
   social: {
     googleId: { type: String },
@@ -80,6 +107,10 @@ userSchema.index({ location: '2dsphere' });
 userSchema.index({ 'stats.rating': -1 });
 userSchema.index({ 'stats.productsSold': -1 });
 userSchema.index({ createdAt: -1 });
+// A provider account belongs to one user; unique so concurrent link/login flows can't share it
+userSchema.index({ 'social.googleId': 1 }, { unique: true, sparse: true });
+userSchema.index({ 'social.facebookId': 1 }, { unique: true, sparse: true });
+userSchema.index({ 'social.twitterId': 1 }, { unique: true, sparse: true });
 
 // Text search index
 userSchema.index({ name: 'text', 'profile.bio': 'text' });
@@ -106,15 +137,17 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
-userSchema.methods.generateAuthToken = function() {
+// Short-lived access token bound to a session; refresh tokens renew it
+userSchema.methods.generateAuthToken = function(sessionId) {
   const token = jwt.sign(
     { 
       id: this._id, 
       email: this.email, 
-      role: this.role 
+      role: this.role,
+      sid: sessionId
     },
     process.env.JWT_SECRET,
-    { expiresIn: '7d' }
+    { expiresIn: process.env.ACCESS_TOKEN_EXPIRY || '15m' }
   );
   return token;
 };
@@ -145,6 +178,12 @@ userSchema.methods.isLocked = function() {
   return !!(this.security.lockUntil && this.security.lockUntil > Date.now());
 };
 
+// Suspended by a moderator, until suspendedUntil if set
+userSchema.methods.isSuspended = function() {
+  const moderation = this.moderation || {};
+  return !!(moderation.suspended && (!moderation.suspendedUntil || moderation.suspendedUntil > Date.now()));
+};
+
 userSchema.methods.incLoginAttempts = function() {
   // If we have a previous lock that has expired, restart at 1
   if (this.security.lockUntil && this.security.lockUntil < Date.now()) {
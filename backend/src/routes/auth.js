@@ -1,6 +1,13 @@
 const express = require('express');
 const User = require('../models/User');
-const auth = require('../middleware/auth');
+const messageService = require('../services/messageService');
+const notificationService = require('../services/notificationService');
+const twoFactorService = require('../services/twoFactorService');
+const sessionService = require('../services/sessionService');
+const oauthService = require('../services/oauthService');
+const mailService = require('../services/mailService');
+const { auth, validateRequest } = require('../middleware/auth');
+const { schemas } = require('../utils/validation');
 const rateLimit = require('express-rate-limit');
 const jwt = require('jsonwebtoken');
 
@@ -23,20 +30,36 @@ const registerLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Start a session and build the login response, stripping secrets from the user
+const sendLoginResponse = async (req, res, user) => {
+  const { token, refreshToken } = await sessionService.createSession(user, req);
+
+  // Remove sensitive data from response
+  const userResponse = user.toObject();
+  delete userResponse.password;
+  delete userResponse.verification.emailVerificationToken;
+  delete userResponse.verification.emailVerificationExpires;
+  delete userResponse.verification.passwordResetToken;
+  delete userResponse.verification.passwordResetExpires;
+  delete userResponse.security.twoFactorSecret;
+  delete userResponse.security.twoFactorRecoveryCodes;
+  delete userResponse.security.twoFactorLastUsedStep;
+
+  res.json({
+    message: 'Login successful',
+    user: userResponse,
+    token,
+    refreshToken
+  });
+};
+
 // User registration
-router.post('/register', registerLimiter, async (req, res) => {
+router.post('/register', registerLimiter, validateRequest(schemas.register), async (req, res) => {
   try {
     const { 
       name, email, password, profile, location, preferences 
     } = req.body;
 
-    // Validate required fields
-    if (!name || !email || !password) {
-      return res.status(400).json({ 
-        error: 'Name, email, and password are required' 
-      });
-    }
-
     // Check if user already exists
     const existingUser = await User.findByEmail(email);
     if (existingUser) {
@@ -55,12 +78,13 @@ router.post('/register', registerLimiter, async (req, res) => {
 
     await user.save();
 
-    // Generate verification token
+    // Generate verification token and email the link
     const verificationToken = user.generateEmailVerificationToken();
     await user.save();
+    mailService.sendVerificationEmail(user, verificationToken);
 
-    // Generate auth token
-    const token = user.generateAuthToken();
+    // Start a session for this device
+    const { token, refreshToken } = await sessionService.createSession(user, req);
 
     // Remove sensitive data from response
     const userResponse = user.toObject();
@@ -71,7 +95,8 @@ router.post('/register', registerLimiter, async (req, res) => {
     res.status(201).json({
       message: 'User registered successfully. Please verify your email.',
       user: userResponse,
-      token
+      token,
+      refreshToken
     });
 
   } catch (err) {
@@ -81,14 +106,10 @@ router.post('/register', registerLimiter, async (req, res) => {
 });
 
 // User login with security features
-router.post('/login', loginLimiter, async (req, res) => {
+router.post('/login', loginLimiter, validateRequest(schemas.login), async (req, res) => {
   try {
     const { email, password } = req.body;
 
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password are required' });
-    }
-
     // Find user by email
     const user = await User.findByEmail(email);
     if (!user) {
@@ -109,25 +130,23 @@ router.post('/login', loginLimiter, async (req, res) => {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
+    if (user.isSuspended()) {
+      return res.status(403).json({ error: 'Account is suspended' });
+    }
+
+    // With 2FA on, the password only earns a short-lived challenge token
+    if (user.security.twoFactorEnabled) {
+      return res.json({
+        message: 'Two-factor code required',
+        twoFactorRequired: true,
+        challengeToken: twoFactorService.createChallenge(user)
+      });
+    }
+
     // Reset login attempts on successful login
     await user.resetLoginAttempts();
 
-    // Generate auth token
-    const token = user.generateAuthToken();
-
-    // Remove sensitive data from response
-    const userResponse = user.toObject();
-    delete userResponse.password;
-    delete userResponse.verification.emailVerificationToken;
-    delete userResponse.verification.emailVerificationExpires;
-    delete userResponse.verification.passwordResetToken;
-    delete userResponse.verification.passwordResetExpires;
-
-    res.json({
-      message: 'Login successful',
-      user: userResponse,
-      token
-    });
+    await sendLoginResponse(req, res, user);
 
   } catch (err) {
     console.error('Error in POST /api/auth/login:', err);
@@ -135,15 +154,29 @@ router.post('/login', loginLimiter, async (req, res) => {
   }
 });
 
+// Second login step: exchange the challenge token and a TOTP or recovery code for a JWT
+router.post('/login/2fa', loginLimiter, validateRequest(schemas.twoFactorLogin), async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const user = await twoFactorService.completeChallenge(challengeToken, { code, recoveryCode });
+
+    // Reset login attempts on successful login
+    await user.resetLoginAttempts();
+
+    await sendLoginResponse(req, res, user);
+
+  } catch (err) {
+    console.error('Error in POST /api/auth/login/2fa:', err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
 // Verify email
-router.post('/verify-email', async (req, res) => {
+router.post('/verify-email', validateRequest(schemas.token), async (req, res) => {
   try {
     const { token } = req.body;
 
-    if (!token) {
-      return res.status(400).json({ error: 'Verification token is required' });
-    }
-
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
@@ -182,30 +215,24 @@ router.post('/verify-email', async (req, res) => {
 });
 
 // Request password reset
-router.post('/forgot-password', async (req, res) => {
+router.post('/forgot-password', validateRequest(schemas.emailRequest), async (req, res) => {
   try {
     const { email } = req.body;
 
-    if (!email) {
-      return res.status(400).json({ error: 'Email is required' });
-    }
+    // Same response either way so the route doesn't reveal which emails are registered
+    const response = { message: 'If an account with that email exists, a password reset link has been sent' };
 
     const user = await User.findByEmail(email);
     if (!user) {
-      // Don't reveal if user exists or not
-      return res.json({ message: 'If an account with that email exists, a password reset link has been sent' });
+      return res.json(response);
     }
 
-    // Generate password reset token
+    // Generate password reset token and email the link
     const resetToken = user.generatePasswordResetToken();
     await user.save();
+    mailService.sendPasswordResetEmail(user, resetToken);
 
-    // In a real application, send email here
-    // For now, we'll just return the token (in production, this should be sent via email)
-    res.json({ 
-      message: 'Password reset link sent to your email',
-      resetToken // Remove this in production
-    });
+    res.json(response);
 
   } catch (err) {
     console.error('Error in POST /api/auth/forgot-password:', err);
@@ -213,15 +240,36 @@ router.post('/forgot-password', async (req, res) => {
   }
 });
 
-// Reset password
-router.post('/reset-password', async (req, res) => {
+// Resend the email verification link
+router.post('/resend-verification', registerLimiter, validateRequest(schemas.emailRequest), async (req, res) => {
   try {
-    const { token, newPassword } = req.body;
+    const { email } = req.body;
+
+    // Same response either way so the route doesn't reveal which emails are registered
+    const response = { message: 'If that account needs verification, a new link has been sent' };
 
-    if (!token || !newPassword) {
-      return res.status(400).json({ error: 'Token and new password are required' });
+    const user = await User.findByEmail(email);
+    if (!user || user.verification.emailVerified) {
+      return res.json(response);
     }
 
+    const verificationToken = user.generateEmailVerificationToken();
+    await user.save();
+    mailService.sendVerificationEmail(user, verificationToken);
+
+    res.json(response);
+
+  } catch (err) {
+    console.error('Error in POST /api/auth/resend-verification:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Reset password
+router.post('/reset-password', validateRequest(schemas.resetPassword), async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
@@ -244,6 +292,9 @@ router.post('/reset-password', async (req, res) => {
     user.verification.passwordResetExpires = undefined;
     await user.save();
 
+    // Sign out every device
+    await sessionService.revokeAllSessions(user._id);
+
     res.json({ message: 'Password reset successfully' });
 
   } catch (err) {
@@ -263,7 +314,10 @@ router.get('/me', auth(['user', 'admin', 'moderator']), async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    res.json(user);
+    const unreadMessages = await messageService.getUnreadCount(user._id);
+    const unreadNotifications = await notificationService.getUnreadCount(user._id);
+
+    res.json({ ...user.toObject(), unreadMessages, unreadNotifications });
   } catch (err) {
     console.error('Error in GET /api/auth/me:', err);
     res.status(500).json({ error: err.message });
@@ -271,7 +325,7 @@ router.get('/me', auth(['user', 'admin', 'moderator']), async (req, res) => {
 });
 
 // Update user profile
-router.put('/profile', auth(['user', 'admin', 'moderator']), async (req, res) => {
+router.put('/profile', auth(['user', 'admin', 'moderator']), validateRequest(schemas.profileUpdate), async (req, res) => {
   try {
     const { profile, location, preferences } = req.body;
 
@@ -280,10 +334,10 @@ router.put('/profile', auth(['user', 'admin', 'moderator']), async (req, res) =>
       return res.status(404).json({ error: 'User not found' });
     }
 
-    // Update allowed fields
-    if (profile) user.profile = { ...user.profile, ...profile };
-    if (location) user.location = { ...user.location, ...location };
-    if (preferences) user.preferences = { ...user.preferences, ...preferences };
+    // Update allowed fields, merging into the existing values
+    if (profile) user.set('profile', profile, { merge: true });
+    if (location) user.set('location', location, { merge: true });
+    if (preferences) user.set('preferences', preferences, { merge: true });
 
     await user.save();
 
@@ -302,14 +356,10 @@ router.put('/profile', auth(['user', 'admin', 'moderator']), async (req, res) =>
 });
 
 // Change password
-router.put('/change-password', auth(['user', 'admin', 'moderator']), async (req, res) => {
+router.put('/change-password', auth(['user', 'admin', 'moderator']), validateRequest(schemas.changePassword), async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
 
-    if (!currentPassword || !newPassword) {
-      return res.status(400).json({ error: 'Current and new password are required' });
-    }
-
     const user = await User.findById(req.user.id);
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
@@ -325,7 +375,11 @@ router.put('/change-password', auth(['user', 'admin', 'moderator']), async (req,
     user.password = newPassword;
     await user.save();
 
-    res.json({ message: 'Password changed successfully' });
+    // Sign out every device, then start a fresh session for this one
+    await sessionService.revokeAllSessions(user._id);
+    const { token, refreshToken } = await sessionService.createSession(user, req);
+
+    res.json({ message: 'Password changed successfully', token, refreshToken });
 
   } catch (err) {
     console.error('Error in PUT /api/auth/change-password:', err);
@@ -348,9 +402,177 @@ router.get('/stats', auth(['user', 'admin', 'moderator']), async (req, res) => {
   }
 });
 
-// Logout (client-side token removal)
+// Send the browser back to the frontend with the outcome in the URL fragment,
+// which never reaches server logs
+const redirectToFrontend = (res, params) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  res.redirect(`${frontendUrl}/oauth/callback#${new URLSearchParams(params).toString()}`);
+};
+
+// List configured OAuth providers
+router.get('/oauth/providers', (req, res) => {
+  res.json({ providers: oauthService.listProviders() });
+});
+
+// Start OAuth login: redirects to the provider
+router.get('/oauth/:provider', async (req, res) => {
+  try {
+    const authorizationUrl = await oauthService.createAuthorizationUrl(req.params.provider);
+    res.redirect(authorizationUrl);
+  } catch (err) {
+    console.error('Error in GET /api/auth/oauth/:provider:', err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Start linking a provider to the signed-in account; the client navigates to the returned URL
+router.post('/oauth/:provider/link', auth(['user', 'admin', 'moderator']), async (req, res) => {
+  try {
+    const authorizationUrl = await oauthService.createAuthorizationUrl(req.params.provider, req.user.id);
+    res.json({ authorizationUrl });
+  } catch (err) {
+    console.error('Error in POST /api/auth/oauth/:provider/link:', err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// OAuth callback: logs in (or links) and hands tokens to the frontend
+router.get('/oauth/:provider/callback', validateRequest(schemas.oauthCallbackQuery, 'query'), async (req, res) => {
+  const { provider } = req.params;
+
+  try {
+    const { user, linked } = await oauthService.handleCallback(provider, req.query);
+
+    if (linked) {
+      return redirectToFrontend(res, { linked: provider });
+    }
+
+    if (user.isLocked()) {
+      return redirectToFrontend(res, { error: 'Account is temporarily locked' });
+    }
+
+    if (user.isSuspended()) {
+      return redirectToFrontend(res, { error: 'Account is suspended' });
+    }
+
+    // Social logins still go through the second factor
+    if (user.security.twoFactorEnabled) {
+      return redirectToFrontend(res, {
+        twoFactorRequired: 'true',
+        challengeToken: twoFactorService.createChallenge(user)
+      });
+    }
+
+    await user.resetLoginAttempts();
+    const { token, refreshToken } = await sessionService.createSession(user, req);
+
+    redirectToFrontend(res, { token, refreshToken });
+  } catch (err) {
+    console.error('Error in GET /api/auth/oauth/:provider/callback:', err);
+    redirectToFrontend(res, { error: err.status ? err.message : 'Sign-in failed. Please try again.' });
+  }
+});
+
+// Unlink a provider from the signed-in account
+router.delete('/oauth/:provider', auth(['user', 'admin', 'moderator']), async (req, res) => {
+  try {
+    const result = await oauthService.unlinkProvider(req.user.id, req.params.provider);
+    res.json(result);
+  } catch (err) {
+    console.error('Error in DELETE /api/auth/oauth/:provider:', err);
+    res.status(err.status || 400).json({ error: err.message });
+  }
+});
+
+// Start two-factor setup: returns a secret and otpauth URI for the authenticator app
+router.post('/2fa/setup', auth(['user', 'admin', 'moderator']), async (req, res) => {
+  try {
+    const result = await twoFactorService.beginSetup(req.user.id);
+    res.json(result);
+  } catch (err) {
+    console.error('Error in POST /api/auth/2fa/setup:', err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Confirm setup with a first code; returns one-time recovery codes
+router.post('/2fa/confirm', auth(['user', 'admin', 'moderator']), validateRequest(schemas.twoFactorConfirm), async (req, res) => {
+  try {
+    const result = await twoFactorService.confirmSetup(req.user.id, req.body.code);
+    res.json({
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe.',
+      ...result
+    });
+  } catch (err) {
+    console.error('Error in POST /api/auth/2fa/confirm:', err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Replace recovery codes
+router.post('/2fa/recovery-codes', auth(['user', 'admin', 'moderator']), validateRequest(schemas.twoFactorConfirm), async (req, res) => {
+  try {
+    const result = await twoFactorService.regenerateRecoveryCodes(req.user.id, req.body.code);
+    res.json(result);
+  } catch (err) {
+    console.error('Error in POST /api/auth/2fa/recovery-codes:', err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Disable two-factor authentication
+router.post('/2fa/disable', auth(['user', 'admin', 'moderator']), validateRequest(schemas.twoFactorDisable), async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const result = await twoFactorService.disable(req.user.id, password, { code, recoveryCode });
+    res.json(result);
+  } catch (err) {
+    console.error('Error in POST /api/auth/2fa/disable:', err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Exchange a refresh token for a new access token and rotated refresh token
+router.post('/refresh', validateRequest(schemas.refreshToken), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const tokens = await sessionService.refreshSession(refreshToken, req);
+    res.json(tokens);
+  } catch (err) {
+    console.error('Error in POST /api/auth/refresh:', err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// List active sessions (one per signed-in device)
+router.get('/sessions', auth(['user', 'admin', 'moderator']), async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user.id, req.user.sessionId);
+    res.json(sessions);
+  } catch (err) {
+    console.error('Error in GET /api/auth/sessions:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Revoke a session, signing that device out
+router.delete('/sessions/:id', auth(['user', 'admin', 'moderator']), async (req, res) => {
+  try {
+    const result = await sessionService.revokeSession(req.user.id, req.params.id);
+    res.json(result);
+  } catch (err) {
+    console.error('Error in DELETE /api/auth/sessions/:id:', err);
+    res.status(err.status || 400).json({ error: err.message });
+  }
+});
+
+// Logout (revokes the current session server-side)
 router.post('/logout', auth(['user', 'admin', 'moderator']), async (req, res) => {
   try {
+    await sessionService.revokeSession(req.user.id, req.user.sessionId);
+
     // Update last active timestamp
     await User.findByIdAndUpdate(req.user.id, {
       'stats.lastActive': new Date()
@@ -359,7 +581,7 @@ router.post('/logout', auth(['user', 'admin', 'moderator']), async (req, res) =>
     res.json({ message: 'Logged out successfully' });
   } catch (err) {
     console.error('Error in POST /api/auth/logout:', err);
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
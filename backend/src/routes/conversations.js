@@ -0,0 +1,73 @@
+const express = require('express');
+const messageService = require('../services/messageService');
+const { auth, validateRequest } = require('../middleware/auth');
+const { schemas } = require('../utils/validation');
+
+const router = express.Router();
+
+// Start a thread with the seller of a listing
+router.post('/', auth(['user', 'admin', 'moderator']), validateRequest(schemas.conversation), async (req, res) => {
+  try {
+    const { productId, message } = req.body;
+
+    const result = await messageService.startConversation(productId, message, req.user.id);
+    res.status(201).json(result);
+  } catch (err) {
+    console.error('Error in POST /api/conversations:', err);
+    res.status(err.status || 400).json({ error: err.message });
+  }
+});
+
+// List the current user's threads (inbox)
+router.get('/', auth(['user', 'admin', 'moderator']), validateRequest(schemas.pagination, 'query'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const result = await messageService.getInbox(req.user.id, {
+      page: Number(page),
+      limit: Number(limit)
+    });
+    res.json(result);
+  } catch (err) {
+    console.error('Error in GET /api/conversations:', err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Get a thread's messages (participants; admins and moderators can read)
+router.get('/:id', auth(['user', 'admin', 'moderator']), validateRequest(schemas.pagination, 'query'), async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const result = await messageService.getMessages(req.params.id, req.user, {
+      page: Number(page),
+      limit: Number(limit)
+    });
+    res.json(result);
+  } catch (err) {
+    console.error('Error in GET /api/conversations/:id:', err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Send a message in a thread
+router.post('/:id/messages', auth(['user', 'admin', 'moderator']), validateRequest(schemas.message), async (req, res) => {
+  try {
+    const message = await messageService.sendMessage(req.params.id, req.body.message, req.user);
+    res.status(201).json(message);
+  } catch (err) {
+    console.error('Error in POST /api/conversations/:id/messages:', err);
+    res.status(err.status || 400).json({ error: err.message });
+  }
+});
+
+// Mark a thread as read
+router.post('/:id/read', auth(['user', 'admin', 'moderator']), async (req, res) => {
+  try {
+    const result = await messageService.markConversationRead(req.params.id, req.user);
+    res.json(result);
+  } catch (err) {
+    console.error('Error in POST /api/conversations/:id/read:', err);
+    res.status(err.status || 400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
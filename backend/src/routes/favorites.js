@@ -0,0 +1,45 @@
+const express = require('express');
+const favoriteService = require('../services/favoriteService');
+const { auth, validateRequest } = require('../middleware/auth');
+const { schemas } = require('../utils/validation');
+
+const router = express.Router();
+
+// List the current user's favorites
+router.get('/', auth(['user', 'admin', 'moderator']), validateRequest(schemas.pagination, 'query'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const result = await favoriteService.listFavorites(req.user.id, {
+      page: Number(page),
+      limit: Number(limit)
+    });
+    res.json(result);
+  } catch (err) {
+    console.error('Error in GET /api/favorites:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Add a product to favorites
+router.post('/', auth(['user', 'admin', 'moderator']), validateRequest(schemas.favorite), async (req, res) => {
+  try {
+    const favorite = await favoriteService.addFavorite(req.user.id, req.body.productId);
+    res.status(201).json(favorite);
+  } catch (err) {
+    console.error('Error in POST /api/favorites:', err);
+    res.status(err.status || 400).json({ error: err.message });
+  }
+});
+
+// Remove a product from favorites
+router.delete('/:productId', auth(['user', 'admin', 'moderator']), async (req, res) => {
+  try {
+    const result = await favoriteService.removeFavorite(req.user.id, req.params.productId);
+    res.json(result);
+  } catch (err) {
+    console.error('Error in DELETE /api/favorites/:productId:', err);
+    res.status(err.status || 400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const feedService = require('../services/feedService');
+const { optionalAuth, validateRequest } = require('../middleware/auth');
+const { schemas } = require('../utils/validation');
+
+const router = express.Router();
+
+// Home feed: personalized for signed-in users, nearby and fresh listings otherwise (?cursor=&limit=&lat=&lng=&radius=)
+router.get('/', optionalAuth, validateRequest(schemas.feedQuery, 'query'), async (req, res) => {
+  try {
+    const { cursor, limit = 20, lat, lng, radius } = req.query;
+    const feed = await feedService.getFeed(req.userFull || null, { cursor, limit, lat, lng, radius });
+    res.json(feed);
+  } catch (err) {
+    console.error('Error in GET /api/feed:', err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,79 @@
+const express = require('express');
+const ModerationAction = require('../models/ModerationAction');
+const moderationService = require('../services/moderationService');
+const { auth, validateRequest } = require('../middleware/auth');
+const { schemas } = require('../utils/validation');
+
+const router = express.Router();
+
+// Everything here is for moderators and admins
+const staff = auth(['admin', 'moderator']);
+
+// Moderation queue: reported listings and users with open reports, most reported first
+router.get('/queue', staff, validateRequest(schemas.moderationQueueQuery, 'query'), async (req, res) => {
+  try {
+    const { targetType, page = 1, limit = 20 } = req.query;
+    const queue = await moderationService.getQueue({ targetType, page: Number(page), limit: Number(limit) });
+    res.json(queue);
+  } catch (err) {
+    console.error('Error in GET /api/moderation/queue:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Audit log of moderation actions (?targetType=&targetId=&moderatorId=)
+router.get('/actions', staff, validateRequest(schemas.moderationLogQuery, 'query'), async (req, res) => {
+  try {
+    const { targetType, targetId, moderatorId, page = 1, limit = 20 } = req.query;
+    const result = await moderationService.listActions({
+      targetType,
+      targetId,
+      moderatorId,
+      page: Number(page),
+      limit: Number(limit)
+    });
+    res.json(result);
+  } catch (err) {
+    console.error('Error in GET /api/moderation/actions:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Listing actions: hide, restore or remove, with a reason
+ModerationAction.ACTIONS.Product.forEach(action => {
+  router.post(`/products/:id/${action}`, staff, validateRequest(schemas.moderationAction), async (req, res) => {
+    try {
+      const record = await moderationService.moderateProduct(req.params.id, action, req.user, req.body);
+      res.status(201).json(record);
+    } catch (err) {
+      console.error(`Error in POST /api/moderation/products/:id/${action}:`, err);
+      res.status(err.status || 400).json({ error: err.message });
+    }
+  });
+});
+
+// User actions: warn, suspend (optionally for durationDays) or reinstate, with a reason
+ModerationAction.ACTIONS.User.forEach(action => {
+  router.post(`/users/:id/${action}`, staff, validateRequest(schemas.userModeration), async (req, res) => {
+    try {
+      const record = await moderationService.moderateUser(req.params.id, action, req.user, req.body);
+      res.status(201).json(record);
+    } catch (err) {
+      console.error(`Error in POST /api/moderation/users/:id/${action}:`, err);
+      res.status(err.status || 400).json({ error: err.message });
+    }
+  });
+});
+
+// Dismiss a report without acting on what it reported
+router.post('/reports/:id/dismiss', staff, validateRequest(schemas.moderationAction), async (req, res) => {
+  try {
+    const record = await moderationService.dismissReport(req.params.id, req.user, req.body);
+    res.status(201).json(record);
+  } catch (err) {
+    console.error('Error in POST /api/moderation/reports/:id/dismiss:', err);
+    res.status(err.status || 400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
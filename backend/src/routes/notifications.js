@@ -0,0 +1,68 @@
+const express = require('express');
+const notificationService = require('../services/notificationService');
+const { auth, validateRequest } = require('../middleware/auth');
+const { schemas } = require('../utils/validation');
+
+const router = express.Router();
+
+// List the current user's notifications (?unread=true for unread only)
+router.get('/', auth(['user', 'admin', 'moderator']), validateRequest(schemas.notificationListQuery, 'query'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, unread } = req.query;
+    const result = await notificationService.listNotifications(req.user.id, {
+      page: Number(page),
+      limit: Number(limit),
+      unread
+    });
+    res.json(result);
+  } catch (err) {
+    console.error('Error in GET /api/notifications:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get channel toggles and per-type preferences
+router.get('/preferences', auth(['user', 'admin', 'moderator']), async (req, res) => {
+  try {
+    const preferences = await notificationService.getPreferences(req.user.id);
+    res.json(preferences);
+  } catch (err) {
+    console.error('Error in GET /api/notifications/preferences:', err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Update channel toggles and per-type preferences
+router.put('/preferences', auth(['user', 'admin', 'moderator']), validateRequest(schemas.notificationPreferences), async (req, res) => {
+  try {
+    const preferences = await notificationService.updatePreferences(req.user.id, req.body);
+    res.json(preferences);
+  } catch (err) {
+    console.error('Error in PUT /api/notifications/preferences:', err);
+    res.status(err.status || 400).json({ error: err.message });
+  }
+});
+
+// Mark all notifications read
+router.post('/read-all', auth(['user', 'admin', 'moderator']), async (req, res) => {
+  try {
+    const result = await notificationService.markAllRead(req.user.id);
+    res.json(result);
+  } catch (err) {
+    console.error('Error in POST /api/notifications/read-all:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Mark one notification read
+router.post('/:id/read', auth(['user', 'admin', 'moderator']), async (req, res) => {
+  try {
+    const notification = await notificationService.markRead(req.params.id, req.user.id);
+    res.json(notification);
+  } catch (err) {
+    console.error('Error in POST /api/notifications/:id/read:', err);
+    res.status(err.status || 400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,67 @@
+const express = require('express');
+const orderService = require('../services/orderService');
+const { auth, validateRequest } = require('../middleware/auth');
+const { schemas } = require('../utils/validation');
+
+const router = express.Router();
+
+// Place an order for a product
+router.post('/', auth(['user', 'admin', 'moderator']), validateRequest(schemas.order), async (req, res) => {
+  try {
+    const order = await orderService.placeOrder(req.body, req.user.id);
+    res.status(201).json(order);
+  } catch (err) {
+    console.error('Error in POST /api/orders:', err);
+    res.status(err.status || 400).json({ error: err.message });
+  }
+});
+
+// List orders placed by (role=buyer) or received by (role=seller) the current user
+router.get('/', auth(['user', 'admin', 'moderator']), validateRequest(schemas.orderListQuery, 'query'), async (req, res) => {
+  try {
+    const { role = 'buyer', status, page = 1, limit = 20 } = req.query;
+    const result = await orderService.getOrdersForUser(req.user.id, {
+      role,
+      status,
+      page: Number(page),
+      limit: Number(limit)
+    });
+    res.json(result);
+  } catch (err) {
+    console.error('Error in GET /api/orders:', err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Get a single order (buyer, seller or admin)
+router.get('/:id', auth(['user', 'admin', 'moderator']), async (req, res) => {
+  try {
+    const order = await orderService.getOrderById(req.params.id, req.user);
+    res.json(order);
+  } catch (err) {
+    console.error('Error in GET /api/orders/:id:', err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Status changes: the seller accepts, declines or fulfills; either party can cancel
+const statusActions = {
+  accept: 'accepted',
+  decline: 'declined',
+  fulfill: 'fulfilled',
+  cancel: 'cancelled'
+};
+
+Object.entries(statusActions).forEach(([action, status]) => {
+  router.post(`/:id/${action}`, auth(['user', 'admin', 'moderator']), validateRequest(schemas.orderStatus), async (req, res) => {
+    try {
+      const order = await orderService.updateOrderStatus(req.params.id, status, req.user, req.body.reason);
+      res.json(order);
+    } catch (err) {
+      console.error(`Error in POST /api/orders/:id/${action}:`, err);
+      res.status(err.status || 400).json({ error: err.message });
+    }
+  });
+});
+
+module.exports = router;
@@ -1,132 +1,76 @@
 const express = require('express');
 const Product = require('../models/Product');
-const auth = require('../middleware/auth');
+const productService = require('../services/productService');
+const reviewService = require('../services/reviewService');
+const bulkProductService = require('../services/bulkProductService');
+const productStatsService = require('../services/productStatsService');
+const { auth, optionalAuth, validateRequest } = require('../middleware/auth');
+const { schemas } = require('../utils/validation');
+const { uploadImages, uploadImportFile } = require('../middleware/upload');
 
 const router = express.Router();
 
-// Advanced search and filtering with pagination
-router.get('/search', async (req, res) => {
+// Advanced search and filtering with pagination and facet counts. With lat/lng, results carry
+// distanceKm and the radius defaults to the signed-in user's search radius.
+router.get('/search', optionalAuth, validateRequest(schemas.productSearchQuery, 'query'), async (req, res) => {
   try {
     const {
-      text, category, subcategory, brand, minPrice, maxPrice,
-      condition, status, minRating, inStock, lat, lng, radius,
-      sortBy = 'createdAt', sortOrder = 'desc', page = 1, limit = 20,
-      populate = '1'
+      lat, lng, sortBy, sortOrder, page = 1, limit = 20, populate = '1', ...filters
     } = req.query;
 
-    // Build search filters
-    const filters = {};
-    
-    if (text) {
-      filters.$text = { $search: text };
-    }
-    
-    if (category) filters.category = category;
-    if (subcategory) filters.subcategory = subcategory;
-    if (brand) filters.brand = { $regex: brand, $options: 'i' };
-    if (condition) filters.condition = condition;
-    if (status) filters.status = status;
-    if (minRating) filters['ratings.average'] = { $gte: Number(minRating) };
-    if (inStock === 'true') filters['inventory.quantity'] = { $gt: 0 };
-    
-    if (minPrice || maxPrice) {
-      filters.price = {};
-      if (minPrice) filters.price.$gte = Number(minPrice);
-      if (maxPrice) filters.price.$lte = Number(maxPrice);
-    }
-    
-    if (lat && lng && radius) {
-      const center = [Number(lng), Number(lat)];
-      const radiusInMeters = Number(radius) * 1000;
-      filters.location = {
-        $geoWithin: {
-          $centerSphere: [center, radiusInMeters / 6378137]
-        }
-      };
-    }
-
-    // Build aggregation pipeline
-    const pipeline = [
-      { $match: filters },
-      {
-        $addFields: {
-          discountPercentage: {
-            $cond: {
-              if: { $and: [{ $ne: ['$originalPrice', null] }, { $lt: ['$price', '$originalPrice'] }] },
-              then: { $multiply: [{ $divide: [{ $subtract: ['$originalPrice', '$price'] }, '$originalPrice'] }, 100] },
-              else: 0
-            }
-          },
-          stockStatus: {
-            $cond: {
-              if: { $eq: ['$inventory.quantity', 0] },
-              then: 'out-of-stock',
-              else: {
-                $cond: {
-                  if: { $lte: ['$inventory.quantity', '$inventory.lowStockThreshold'] },
-                  then: 'low-stock',
-                  else: 'in-stock'
-                }
-              }
-            }
-          }
-        }
-      }
-    ];
-
-    // Add sorting
-    const sortField = sortBy === 'relevance' && text ? { score: { $meta: 'textScore' } } : { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
-    pipeline.push({ $sort: sortField });
-
-    // Add pagination
-    const skip = (Number(page) - 1) * Number(limit);
-    pipeline.push({ $skip: skip }, { $limit: Number(limit) });
-
-    // Add population
-    if (populate === '1') {
-      pipeline.push({
-        $lookup: {
-          from: 'users',
-          localField: 'createdBy',
-          foreignField: '_id',
-          as: 'seller'
-        }
-      });
-      pipeline.push({
-        $addFields: {
-          seller: { $arrayElemAt: ['$seller', 0] }
-        }
-      });
+    if (lat !== undefined && lng !== undefined) {
+      filters.location = { lat, lng };
+      filters.radius = filters.radius ?? productService.getDefaultSearchRadius(req.userFull);
     }
 
-    // Execute search
-    const products = await Product.aggregate(pipeline);
-
-    // Get total count for pagination
-    const countPipeline = [
-      { $match: filters },
-      { $count: 'total' }
-    ];
-    const countResult = await Product.aggregate(countPipeline);
-    const total = countResult[0]?.total || 0;
+    const result = await productService.searchProducts(filters, {
+      page,
+      limit,
+      sortBy,
+      sortOrder,
+      populate: populate === '1'
+    });
 
-    res.json({
-      products,
-      pagination: {
-        page: Number(page),
-        limit: Number(limit),
-        total,
-        pages: Math.ceil(total / Number(limit))
-      },
-      filters: req.query
+    // Count the page as impressions, except the viewer's own listings
+    const { page: resultPage, limit: pageSize } = result.pagination;
+    const shown = result.products.filter(product => product.createdBy.toString() !== req.user?.id.toString());
+    productStatsService.recordImpressions(shown, productStatsService.viewerKey(req), {
+      offset: (resultPage - 1) * pageSize
+    }).catch(error => {
+      console.error('Recording search impressions failed:', error);
     });
 
+    res.json({ ...result, filters: { ...req.query, radius: filters.radius } });
   } catch (err) {
     console.error('Error in GET /api/products/search:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
+// Typeahead: ranked, typo-tolerant completions from active listings (?q=&limit=)
+router.get('/suggest', validateRequest(schemas.suggestQuery, 'query'), async (req, res) => {
+  try {
+    const { q, limit = 10 } = req.query;
+    const suggestions = await productService.getSuggestions(q, { limit });
+    res.json({ query: q, suggestions });
+  } catch (err) {
+    console.error('Error in GET /api/products/suggest:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Trending listings by recent views, favorites and orders (?category=&limit=)
+router.get('/trending', validateRequest(schemas.trendingQuery, 'query'), async (req, res) => {
+  try {
+    const { category, limit = 10 } = req.query;
+    const products = await productService.getTrendingProducts({ category, limit });
+    res.json(products);
+  } catch (err) {
+    console.error('Error in GET /api/products/trending:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Get product categories and subcategories for filtering
 router.get('/categories', async (req, res) => {
   try {
@@ -159,61 +103,83 @@ router.get('/categories', async (req, res) => {
   }
 });
 
-// Get product analytics and insights
-router.get('/analytics', auth(['admin']), async (req, res) => {
+// Get product analytics: a snapshot plus series by day/week/month (?from=&to=&interval=&category=&city=)
+router.get('/analytics', auth(['admin']), validateRequest(schemas.analyticsQuery, 'query'), async (req, res) => {
   try {
-    const analytics = await Product.aggregate([
-      {
-        $facet: {
-          totalProducts: [{ $count: 'count' }],
-          activeProducts: [{ $match: { status: 'active' } }, { $count: 'count' }],
-          lowStockProducts: [{ $match: { 'inventory.quantity': { $lte: '$inventory.lowStockThreshold' } } }, { $count: 'count' }],
-          outOfStockProducts: [{ $match: { 'inventory.quantity': 0 } }, { $count: 'count' }],
-          avgPrice: [{ $group: { _id: null, avg: { $avg: '$price' } } }],
-          priceRange: [
-            { $group: { _id: null, min: { $min: '$price' }, max: { $max: '$price' } } }
-          ],
-          categoryDistribution: [
-            { $group: { _id: '$category', count: { $sum: 1 } } },
-            { $sort: { count: -1 } }
-          ],
-          topRatedProducts: [
-            { $match: { 'ratings.average': { $gte: 4 } } },
-            { $sort: { 'ratings.average': -1 } },
-            { $limit: 10 }
-          ]
-        }
+    const { from, to, interval, category, city } = req.query;
+    const analytics = await productService.getProductAnalytics({ from, to, interval, category, city });
+    res.json(analytics);
+  } catch (err) {
+    console.error('Error in GET /api/products/analytics:', err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Bulk import products from CSV or NDJSON (multipart field "file"), upserting by SKU; ?dryRun=true validates only
+router.post('/import', auth(['user', 'admin', 'moderator']), uploadImportFile, validateRequest(schemas.importQuery, 'query'), async (req, res) => {
+  try {
+    const report = await bulkProductService.importProducts(req.file, req.user, {
+      format: req.query.format,
+      dryRun: req.query.dryRun
+    });
+    res.status(report.dryRun || report.created === 0 ? 200 : 201).json(report);
+  } catch (err) {
+    console.error('Error in POST /api/products/import:', err);
+    res.status(err.status || 400).json({ error: err.message });
+  }
+});
+
+// Stream the caller's listings (every listing for admins) as CSV or NDJSON (?format=csv|ndjson)
+router.get('/export', auth(['user', 'admin', 'moderator']), validateRequest(schemas.exportQuery, 'query'), async (req, res) => {
+  const { format } = req.query;
+
+  const cursor = bulkProductService.createExportCursor(req.user);
+  req.on('close', () => cursor.close().catch(() => {}));
+
+  try {
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson');
+    res.setHeader('Content-Disposition', `attachment; filename="products.${format}"`);
+    if (format === 'csv') res.write(bulkProductService.csvHeader());
+
+    for await (const product of cursor) {
+      // Respect backpressure so large exports don't buffer in memory
+      if (!res.write(bulkProductService.formatExportRow(product, format))) {
+        await new Promise(resolve => res.once('drain', resolve));
       }
-    ]);
+    }
+    res.end();
+  } catch (err) {
+    console.error('Error in GET /api/products/export:', err);
+    if (!res.headersSent) {
+      res.status(500).json({ error: err.message });
+    } else {
+      res.destroy(err);
+    }
+  }
+});
 
-    res.json(analytics[0]);
+// Seller inventory dashboard: stock summary plus low-stock and out-of-stock SKUs
+router.get('/inventory', auth(['user', 'admin', 'moderator']), async (req, res) => {
+  try {
+    const dashboard = await productService.getInventoryDashboard(req.user.id);
+    res.json(dashboard);
   } catch (err) {
-    console.error('Error in GET /api/products/analytics:', err);
+    console.error('Error in GET /api/products/inventory:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
-// Get all products (optionally filter by location) - Enhanced version
-router.get('/', async (req, res) => {
+// Get all products; with lat/lng, the nearest within radius km (default: the user's search radius)
+router.get('/', optionalAuth, validateRequest(schemas.productListQuery, 'query'), async (req, res) => {
   try {
     const { lat, lng, radius, populate, limit = 50 } = req.query;
-    let query = {};
-    
-    if (lat && lng && radius) {
-      const center = [Number(lng), Number(lat)];
-      const radiusInMeters = Number(radius) * 1000;
-      query.location = {
-        $geoWithin: {
-          $centerSphere: [center, radiusInMeters / 6378137]
-        }
-      };
-    }
-    
-    let productsQuery = Product.find(query).limit(Number(limit));
-    if (populate === '1') {
-      productsQuery = productsQuery.populate('createdBy', 'name email');
-    }
-    const products = await productsQuery.lean();
+    const products = await productService.listProducts({
+      lat,
+      lng,
+      radius: lat !== undefined ? radius ?? productService.getDefaultSearchRadius(req.userFull) : undefined,
+      limit,
+      populate: populate === '1'
+    });
     res.json(products);
   } catch (err) {
     console.error('Error in GET /api/products:', err);
@@ -221,84 +187,159 @@ router.get('/', async (req, res) => {
   }
 });
 
-// Create product (admin only) - Enhanced with validation
-router.post('/', auth(['admin']), async (req, res) => {
+// Get a product; views by anyone but the seller count towards its stats, once per viewer per day
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
-    const { 
-      name, description, price, originalPrice, category, subcategory,
-      brand, condition, location, images, tags, specifications,
-      inventory, shipping
-    } = req.body;
-
-    // Validate required fields
-    if (!name || !price || !category || !location) {
-      return res.status(400).json({ 
-        error: 'Missing required fields: name, price, category, and location are required' 
+    const product = await productService.getProductForViewer(req.params.id, req.user);
+
+    const sellerId = product.createdBy?._id?.toString();
+    if (!req.user || req.user.id.toString() !== sellerId) {
+      productStatsService.recordView(product._id, productStatsService.viewerKey(req)).catch(error => {
+        console.error('Recording product view failed:', error);
       });
     }
+    res.json(product);
+  } catch (err) {
+    console.error('Error in GET /api/products/:id:', err);
+    res.status(err.status || 400).json({ error: err.message });
+  }
+});
 
-    // Generate SKU if not provided
-    const sku = inventory?.sku || `SKU-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-
-    const product = new Product({
-      name,
-      description,
-      price,
-      originalPrice,
-      category,
-      subcategory,
-      brand,
-      condition,
-      location,
-      images,
-      tags,
-      specifications,
-      inventory: { ...inventory, sku },
-      shipping,
-      createdBy: req.user.id
-    });
+// Listing performance for its seller: views, favorites, message starts, conversion and search placement (?days=)
+router.get('/:id/insights', auth(['user', 'admin', 'moderator']), validateRequest(schemas.insightsQuery, 'query'), async (req, res) => {
+  try {
+    const insights = await productStatsService.getInsights(req.params.id, req.user, { days: req.query.days });
+    res.json(insights);
+  } catch (err) {
+    console.error('Error in GET /api/products/:id/insights:', err);
+    res.status(err.status || 400).json({ error: err.message });
+  }
+});
 
-    await product.save();
+// Listings similar to a product (?limit=)
+router.get('/:id/similar', validateRequest(schemas.similarQuery, 'query'), async (req, res) => {
+  try {
+    const products = await productService.getSimilarProducts(req.params.id, { limit: req.query.limit });
+    res.json(products);
+  } catch (err) {
+    console.error('Error in GET /api/products/:id/similar:', err);
+    res.status(err.status || 400).json({ error: err.message });
+  }
+});
+
+// Create product (any signed-in user lists as the seller)
+router.post('/', auth(['user', 'admin', 'moderator']), validateRequest(schemas.product), async (req, res) => {
+  try {
+    const product = await productService.createProduct({ ...req.body }, req.user.id);
     res.status(201).json(product);
   } catch (err) {
     console.error('Error in POST /api/products:', err);
-    res.status(400).json({ error: err.message });
+    res.status(err.status || 400).json({ error: err.message });
   }
 });
 
-// Update product (admin only) - Enhanced with validation
-router.put('/:id', auth(['admin']), async (req, res) => {
+// Update product (owner, or admin/moderator override)
+router.put('/:id', auth(['user', 'admin', 'moderator']), validateRequest(schemas.productUpdate), async (req, res) => {
   try {
-    const product = await Product.findByIdAndUpdate(
-      req.params.id, 
-      { ...req.body, updatedAt: new Date() }, 
-      { new: true, runValidators: true }
-    );
-    
-    if (!product) {
-      return res.status(404).json({ error: 'Product not found' });
-    }
-    
+    const product = await productService.updateProduct(req.params.id, req.body, req.user);
     res.json(product);
   } catch (err) {
     console.error('Error in PUT /api/products/:id:', err);
-    res.status(400).json({ error: err.message });
+    res.status(err.status || 400).json({ error: err.message });
   }
 });
 
-// Delete product (admin only)
-router.delete('/:id', auth(['admin']), async (req, res) => {
+// Set a product's stock quantity (owner, or admin/moderator override)
+router.put('/:id/inventory', auth(['user', 'admin', 'moderator']), validateRequest(schemas.inventoryUpdate), async (req, res) => {
   try {
-    const product = await Product.findByIdAndDelete(req.params.id);
-    
-    if (!product) {
-      return res.status(404).json({ error: 'Product not found' });
-    }
-    
-    res.json({ message: 'Product deleted successfully' });
+    const product = await productService.updateInventory(req.params.id, req.body.quantity, req.user);
+    res.json(product);
+  } catch (err) {
+    console.error('Error in PUT /api/products/:id/inventory:', err);
+    res.status(err.status || 400).json({ error: err.message });
+  }
+});
+
+// Delete product (owner, or admin/moderator override)
+router.delete('/:id', auth(['user', 'admin', 'moderator']), async (req, res) => {
+  try {
+    const result = await productService.deleteProduct(req.params.id, req.user);
+    res.json(result);
   } catch (err) {
     console.error('Error in DELETE /api/products/:id:', err);
-    res.status(400).json({ error: err.message });
+    res.status(err.status || 400).json({ error: err.message });
+  }
+});
+
+// Upload product photos (multipart field "images")
+router.post('/:id/images', auth(['user', 'admin', 'moderator']), uploadImages, async (req, res) => {
+  try {
+    const images = await productService.addImages(req.params.id, req.files, req.user);
+    res.status(201).json(images);
+  } catch (err) {
+    console.error('Error in POST /api/products/:id/images:', err);
+    res.status(err.status || 400).json({ error: err.message });
+  }
+});
+
+// Reorder product photos
+router.put('/:id/images/order', auth(['user', 'admin', 'moderator']), validateRequest(schemas.imageOrder), async (req, res) => {
+  try {
+    const images = await productService.reorderImages(req.params.id, req.body.imageIds, req.user);
+    res.json(images);
+  } catch (err) {
+    console.error('Error in PUT /api/products/:id/images/order:', err);
+    res.status(err.status || 400).json({ error: err.message });
+  }
+});
+
+// Choose the primary product photo
+router.put('/:id/images/:imageId/primary', auth(['user', 'admin', 'moderator']), async (req, res) => {
+  try {
+    const images = await productService.setPrimaryImage(req.params.id, req.params.imageId, req.user);
+    res.json(images);
+  } catch (err) {
+    console.error('Error in PUT /api/products/:id/images/:imageId/primary:', err);
+    res.status(err.status || 400).json({ error: err.message });
+  }
+});
+
+// Delete a product photo
+router.delete('/:id/images/:imageId', auth(['user', 'admin', 'moderator']), async (req, res) => {
+  try {
+    const images = await productService.removeImage(req.params.id, req.params.imageId, req.user);
+    res.json(images);
+  } catch (err) {
+    console.error('Error in DELETE /api/products/:id/images/:imageId:', err);
+    res.status(err.status || 400).json({ error: err.message });
+  }
+});
+
+// Get reviews for a product
+router.get('/:id/reviews', validateRequest(schemas.reviewListQuery, 'query'), async (req, res) => {
+  try {
+    const { sortBy, sortOrder, page = 1, limit = 20 } = req.query;
+    const result = await reviewService.getProductReviews(req.params.id, {
+      sortBy,
+      sortOrder,
+      page: Number(page),
+      limit: Number(limit)
+    });
+    res.json(result);
+  } catch (err) {
+    console.error('Error in GET /api/products/:id/reviews:', err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Review a product (one review per user per product)
+router.post('/:id/reviews', auth(['user', 'admin', 'moderator']), validateRequest(schemas.review), async (req, res) => {
+  try {
+    const review = await reviewService.createReview(req.params.id, req.body, req.user.id);
+    res.status(201).json(review);
+  } catch (err) {
+    console.error('Error in POST /api/products/:id/reviews:', err);
+    res.status(err.status || 400).json({ error: err.message });
   }
 });
 
@@ -0,0 +1,19 @@
+const express = require('express');
+const moderationService = require('../services/moderationService');
+const { auth, validateRequest } = require('../middleware/auth');
+const { schemas } = require('../utils/validation');
+
+const router = express.Router();
+
+// Report a listing or a user to the moderators
+router.post('/', auth(['user', 'admin', 'moderator']), validateRequest(schemas.report), async (req, res) => {
+  try {
+    const report = await moderationService.createReport(req.user.id, req.body);
+    res.status(201).json(report);
+  } catch (err) {
+    console.error('Error in POST /api/reports:', err);
+    res.status(err.status || 400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,52 @@
+const express = require('express');
+const reviewService = require('../services/reviewService');
+const { auth, validateRequest } = require('../middleware/auth');
+const { schemas } = require('../utils/validation');
+
+const router = express.Router();
+
+// Edit a review (author only)
+router.put('/:id', auth(['user', 'admin', 'moderator']), validateRequest(schemas.reviewUpdate), async (req, res) => {
+  try {
+    const review = await reviewService.updateReview(req.params.id, req.body, req.user.id);
+    res.json(review);
+  } catch (err) {
+    console.error('Error in PUT /api/reviews/:id:', err);
+    res.status(err.status || 400).json({ error: err.message });
+  }
+});
+
+// Delete a review (author, or admin/moderator)
+router.delete('/:id', auth(['user', 'admin', 'moderator']), async (req, res) => {
+  try {
+    const result = await reviewService.deleteReview(req.params.id, req.user);
+    res.json(result);
+  } catch (err) {
+    console.error('Error in DELETE /api/reviews/:id:', err);
+    res.status(err.status || 400).json({ error: err.message });
+  }
+});
+
+// Mark a review as helpful
+router.post('/:id/helpful', auth(['user', 'admin', 'moderator']), async (req, res) => {
+  try {
+    const review = await reviewService.addHelpfulVote(req.params.id, req.user.id);
+    res.json(review);
+  } catch (err) {
+    console.error('Error in POST /api/reviews/:id/helpful:', err);
+    res.status(err.status || 400).json({ error: err.message });
+  }
+});
+
+// Withdraw a helpful vote
+router.delete('/:id/helpful', auth(['user', 'admin', 'moderator']), async (req, res) => {
+  try {
+    const review = await reviewService.removeHelpfulVote(req.params.id, req.user.id);
+    res.json(review);
+  } catch (err) {
+    console.error('Error in DELETE /api/reviews/:id/helpful:', err);
+    res.status(err.status || 400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,70 @@
+const express = require('express');
+const savedSearchService = require('../services/savedSearchService');
+const productService = require('../services/productService');
+const { auth, validateRequest } = require('../middleware/auth');
+const { schemas } = require('../utils/validation');
+
+const router = express.Router();
+
+// Save a search (text, category, condition, price range, lat/lng/radius)
+router.post('/', auth(['user', 'admin', 'moderator']), validateRequest(schemas.savedSearch), async (req, res) => {
+  try {
+    const savedSearch = await savedSearchService.createSavedSearch(req.user.id, req.body);
+    res.status(201).json(savedSearch);
+  } catch (err) {
+    console.error('Error in POST /api/saved-searches:', err);
+    res.status(err.status || 400).json({ error: err.message });
+  }
+});
+
+// List the current user's saved searches
+router.get('/', auth(['user', 'admin', 'moderator']), async (req, res) => {
+  try {
+    const savedSearches = await savedSearchService.listSavedSearches(req.user.id);
+    res.json(savedSearches);
+  } catch (err) {
+    console.error('Error in GET /api/saved-searches:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Run a saved search
+router.get('/:id/results', auth(['user', 'admin', 'moderator']), validateRequest(schemas.pagination, 'query'), async (req, res) => {
+  try {
+    const savedSearch = await savedSearchService.getSavedSearch(req.params.id, req.user.id);
+    const { page = 1, limit = 20 } = req.query;
+
+    const result = await productService.searchProducts(
+      savedSearchService.toSearchFilters(savedSearch.toObject().criteria),
+      { page: Number(page), limit: Number(limit) }
+    );
+    res.json(result);
+  } catch (err) {
+    console.error('Error in GET /api/saved-searches/:id/results:', err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Rename a saved search, change its criteria or toggle alerts
+router.put('/:id', auth(['user', 'admin', 'moderator']), validateRequest(schemas.savedSearchUpdate), async (req, res) => {
+  try {
+    const savedSearch = await savedSearchService.updateSavedSearch(req.params.id, req.user.id, req.body);
+    res.json(savedSearch);
+  } catch (err) {
+    console.error('Error in PUT /api/saved-searches/:id:', err);
+    res.status(err.status || 400).json({ error: err.message });
+  }
+});
+
+// Delete a saved search
+router.delete('/:id', auth(['user', 'admin', 'moderator']), async (req, res) => {
+  try {
+    const result = await savedSearchService.deleteSavedSearch(req.params.id, req.user.id);
+    res.json(result);
+  } catch (err) {
+    console.error('Error in DELETE /api/saved-searches/:id:', err);
+    res.status(err.status || 400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,61 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const productService = require('../services/productService');
+const reviewService = require('../services/reviewService');
+const { optionalAuth, validateRequest } = require('../middleware/auth');
+const { schemas } = require('../utils/validation');
+
+const router = express.Router();
+
+// Get a seller's listings; the owner and admins/moderators can see every status
+router.get('/:id/products', optionalAuth, validateRequest(schemas.sellerProductsQuery, 'query'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const seller = await User.findById(req.params.id).select('_id');
+    if (!seller) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { page = 1, limit = 20, status } = req.query;
+    const canSeeAll = productService.canManageProduct({ createdBy: seller._id }, req.user);
+
+    const result = await productService.getProductsByUser(seller._id, {
+      page: Number(page),
+      limit: Number(limit),
+      status: canSeeAll ? status : 'active',
+      includeHidden: canSeeAll
+    });
+
+    res.json(result);
+  } catch (err) {
+    console.error('Error in GET /api/users/:id/products:', err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Get reviews a seller has received
+router.get('/:id/reviews', validateRequest(schemas.reviewListQuery, 'query'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { sortBy, sortOrder, page = 1, limit = 20 } = req.query;
+    const result = await reviewService.getSellerReviews(req.params.id, {
+      sortBy,
+      sortOrder,
+      page: Number(page),
+      limit: Number(limit)
+    });
+    res.json(result);
+  } catch (err) {
+    console.error('Error in GET /api/users/:id/reviews:', err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,26 @@
+// One-off migration for search suggestions: builds suggestTokens for products saved
+// before suggestions existed and creates the index they are looked up by.
+//
+//   npm run migrate:suggest
+//
+// Safe to run more than once; products that already have tokens are left alone.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const updated = await Product.backfillSuggestTokens();
+  console.log(`Added suggestion tokens to ${updated} product(s)`);
+
+  await Product.createIndexes();
+  console.log('Product indexes are up to date');
+};
+
+migrate()
+  .catch(error => {
+    console.error('Suggestion token migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,34 @@
+// One-off migration for geo search: gives existing products a GeoJSON location.point
+// built from location.lat/lng and moves the 2dsphere index onto it.
+//
+//   npm run migrate:locations
+//
+// Safe to run more than once; products that already have a point are left alone.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+
+const LEGACY_INDEX = 'location_2dsphere';
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const updated = await Product.backfillGeoPoints();
+  console.log(`Added location.point to ${updated} product(s)`);
+
+  const indexes = await Product.collection.indexes();
+  if (indexes.some(index => index.name === LEGACY_INDEX)) {
+    await Product.collection.dropIndex(LEGACY_INDEX);
+    console.log(`Dropped index ${LEGACY_INDEX}`);
+  }
+
+  await Product.createIndexes();
+  console.log('Product indexes are up to date');
+};
+
+migrate()
+  .catch(error => {
+    console.error('Product location migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
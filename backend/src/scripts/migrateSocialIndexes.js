@@ -0,0 +1,53 @@
+// One-off migration for unique social logins: replaces the non-unique social.<provider>Id
+// indexes with unique ones.
+//
+//   npm run migrate:social
+//
+// Stops without changing anything if a provider account is already linked to more than
+// one user; unlink the extra accounts first. Safe to run more than once.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const SOCIAL_FIELDS = ['social.googleId', 'social.facebookId', 'social.twitterId'];
+
+const findDuplicates = (field) => User.aggregate([
+  { $match: { [field]: { $exists: true, $ne: null } } },
+  { $group: { _id: `$${field}`, users: { $push: '$_id' }, count: { $sum: 1 } } },
+  { $match: { count: { $gt: 1 } } }
+]);
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  let conflicts = 0;
+  for (const field of SOCIAL_FIELDS) {
+    const duplicates = await findDuplicates(field);
+    duplicates.forEach(duplicate => {
+      console.error(`${field} ${duplicate._id} is linked to users ${duplicate.users.join(', ')}`);
+    });
+    conflicts += duplicates.length;
+  }
+  if (conflicts > 0) {
+    throw new Error(`${conflicts} provider account(s) are linked to more than one user`);
+  }
+
+  const indexes = await User.collection.indexes();
+  for (const field of SOCIAL_FIELDS) {
+    const legacy = indexes.find(index => index.key[field] === 1 && Object.keys(index.key).length === 1 && !index.unique);
+    if (legacy) {
+      await User.collection.dropIndex(legacy.name);
+      console.log(`Dropped index ${legacy.name}`);
+    }
+  }
+
+  await User.createIndexes();
+  console.log('User indexes are up to date');
+};
+
+migrate()
+  .catch(error => {
+    console.error('Social index migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
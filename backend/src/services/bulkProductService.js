@@ -0,0 +1,378 @@
+const Product = require('../models/Product');
+const User = require('../models/User');
+const productService = require('./productService');
+const favoriteService = require('./favoriteService');
+const imageService = require('./imageService');
+const realtimeService = require('./realtimeService');
+const savedSearchService = require('./savedSearchService');
+const { parseCsv, toCsvLine, unescapeCsvValue } = require('../utils/csv');
+const { createError } = require('../utils/helpers');
+
+const MAX_IMPORT_ROWS = 1000;
+const FORMATS = ['csv', 'ndjson'];
+
+// CSV columns and the Product paths they map to; export writes them in this order.
+// Lists (tags, image URLs) are separated by "|" within a cell.
+const COLUMNS = [
+  ['sku', 'inventory.sku'],
+  ['name', 'name'],
+  ['description', 'description'],
+  ['price', 'price'],
+  ['originalPrice', 'originalPrice'],
+  ['category', 'category'],
+  ['subcategory', 'subcategory'],
+  ['brand', 'brand'],
+  ['condition', 'condition'],
+  ['status', 'status'],
+  ['quantity', 'inventory.quantity'],
+  ['lowStockThreshold', 'inventory.lowStockThreshold'],
+  ['lat', 'location.lat'],
+  ['lng', 'location.lng'],
+  ['address', 'location.address'],
+  ['city', 'location.city'],
+  ['state', 'location.state'],
+  ['zipCode', 'location.zipCode'],
+  ['tags', 'tags'],
+  ['images', 'images'],
+  ['freeShipping', 'shipping.freeShipping'],
+  ['shippingCost', 'shipping.shippingCost'],
+  ['weight', 'shipping.weight']
+];
+const LIST_PATHS = ['tags', 'images'];
+
+// Export-only columns that imports accept and ignore
+const READ_ONLY_COLUMNS = ['id'];
+
+// Paths an NDJSON record may set; nested objects are flattened onto these
+const IMPORTABLE_PATHS = [
+  ...COLUMNS.map(([, path]) => path),
+  'specifications',
+  'shipping.dimensions.length',
+  'shipping.dimensions.width',
+  'shipping.dimensions.height'
+];
+
+// Flatten nested objects into dotted paths, leaving arrays and Map-like fields whole
+const flatten = (record, prefix = '') => {
+  const values = {};
+  Object.entries(record).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const isObject = value && typeof value === 'object' && !Array.isArray(value);
+    if (isObject && path !== 'specifications') {
+      Object.assign(values, flatten(value, path));
+    } else {
+      values[path] = value;
+    }
+  });
+  return values;
+};
+
+// Turn a CSV cell list or NDJSON image list into Product.images entries
+const toImageUrls = (images) => images
+  .map(image => (typeof image === 'string' ? image : image?.url))
+  .filter(Boolean);
+
+const splitList = (cell) => cell.split('|').map(item => item.trim()).filter(Boolean);
+
+class BulkProductService {
+  // Work out the import format from an explicit choice or the uploaded file
+  detectFormat(file, format) {
+    if (format) {
+      if (!FORMATS.includes(format)) {
+        throw createError(400, `format must be one of ${FORMATS.join(', ')}`);
+      }
+      return format;
+    }
+
+    const name = (file.originalname || '').toLowerCase();
+    if (name.endsWith('.csv') || file.mimetype === 'text/csv') return 'csv';
+    if (/\.(ndjson|jsonl)$/.test(name) || file.mimetype === 'application/x-ndjson') return 'ndjson';
+
+    throw createError(400, 'Could not tell the file format; pass format=csv or format=ndjson');
+  }
+
+  // Parse CSV text into { row, values } records keyed by Product path
+  parseCsvRows(text) {
+    let rows;
+    try {
+      rows = parseCsv(text);
+    } catch (error) {
+      throw createError(400, error.message);
+    }
+
+    if (rows.length === 0) return { records: [], ignoredColumns: [] };
+
+    const header = rows[0].map(column => column.trim());
+    const paths = new Map(COLUMNS);
+    const ignoredColumns = header.filter(column => !paths.has(column) && !READ_ONLY_COLUMNS.includes(column));
+
+    if (!header.some(column => paths.has(column))) {
+      throw createError(400, `CSV header must include columns such as ${COLUMNS.slice(0, 6).map(([column]) => column).join(', ')}`);
+    }
+
+    const records = rows.slice(1).map((fields, index) => {
+      const values = {};
+      header.forEach((column, position) => {
+        const path = paths.get(column);
+        const cell = unescapeCsvValue(fields[position] || '').trim();
+        // Empty cells leave the field unchanged
+        if (!path || cell === '') return;
+        values[path] = LIST_PATHS.includes(path) ? splitList(cell) : cell;
+      });
+      return { row: index + 2, values };
+    });
+
+    return { records, ignoredColumns };
+  }
+
+  // Parse NDJSON text into { row, values } records; unparseable lines carry an error instead
+  parseNdjsonRows(text) {
+    const records = [];
+    const ignored = new Set();
+
+    text.split(/\r?\n/).forEach((line, index) => {
+      if (line.trim() === '') return;
+      const row = index + 1;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        records.push({ row, error: { line: 'Invalid JSON' } });
+        return;
+      }
+
+      if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        records.push({ row, error: { line: 'Each line must be a JSON object' } });
+        return;
+      }
+
+      const values = {};
+      Object.entries(flatten(record)).forEach(([path, value]) => {
+        if (IMPORTABLE_PATHS.includes(path)) {
+          values[path] = value;
+        } else if (!READ_ONLY_COLUMNS.includes(path) && path !== '_id') {
+          ignored.add(path);
+        }
+      });
+      records.push({ row, values });
+    });
+
+    return { records, ignoredColumns: [...ignored] };
+  }
+
+  // Apply one record to a new or existing product; returns the storage keys of dropped images
+  applyRecord(product, values) {
+    let removedKeys = [];
+
+    Object.entries(values).forEach(([path, value]) => {
+      if (path !== 'images') {
+        product.set(path, value);
+        return;
+      }
+
+      // Keep uploaded images that are listed again, so their stored files survive the import
+      const urls = Array.isArray(value) ? toImageUrls(value) : [];
+      const existing = new Map(product.images.map(image => [image.url, image.toObject()]));
+      const images = urls.map((url, index) => ({
+        ...(existing.get(url) || { url, alt: values.name || product.name }),
+        isPrimary: index === 0
+      }));
+
+      removedKeys = product.images
+        .filter(image => !urls.includes(image.url))
+        .flatMap(image => image.storageKeys || []);
+      product.images = images;
+    });
+
+    return removedKeys;
+  }
+
+  // Validate and upsert products by SKU. With dryRun nothing is written; the report says
+  // which rows would be created or updated and which fail, with errors per field.
+  async importProducts(file, user, { format, dryRun = false } = {}) {
+    const text = file.buffer.toString('utf8');
+    const { records, ignoredColumns } = this.detectFormat(file, format) === 'csv'
+      ? this.parseCsvRows(text)
+      : this.parseNdjsonRows(text);
+
+    if (records.length === 0) {
+      throw createError(400, 'The import file has no rows');
+    }
+    if (records.length > MAX_IMPORT_ROWS) {
+      throw createError(400, `Import at most ${MAX_IMPORT_ROWS} rows at a time`);
+    }
+
+    const skus = records.map(record => record.values?.['inventory.sku']).filter(Boolean).map(String);
+    const existingProducts = await Product.find({ 'inventory.sku': { $in: skus } }).select('+images.storageKeys');
+    const bySku = new Map(existingProducts.map(product => [product.inventory.sku, product]));
+
+    const seenSkus = new Set();
+    const planned = [];
+    const errors = [];
+
+    records.forEach(({ row, values, error }) => {
+      const sku = values?.['inventory.sku'] !== undefined ? String(values['inventory.sku']) : undefined;
+
+      if (error) {
+        errors.push({ row, sku, errors: error });
+        return;
+      }
+
+      if (sku && seenSkus.has(sku)) {
+        errors.push({ row, sku, errors: { sku: 'SKU appears more than once in the file' } });
+        return;
+      }
+      if (sku) seenSkus.add(sku);
+
+      const existing = sku && bySku.get(sku);
+      if (existing && !productService.canManageProduct(existing, user)) {
+        errors.push({ row, sku, errors: { sku: 'SKU belongs to another seller' } });
+        return;
+      }
+
+      const product = existing || new Product({ createdBy: user.id });
+      const previous = existing && {
+        price: existing.price,
+        status: existing.status,
+        inventory: { quantity: existing.inventory.quantity }
+      };
+      const removedKeys = this.applyRecord(product, values);
+
+      if (!product.inventory.sku) {
+        product.inventory.sku = `SKU-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+      }
+
+      const validationError = product.validateSync();
+      if (validationError) {
+        const fieldErrors = {};
+        Object.entries(validationError.errors).forEach(([path, fieldError]) => {
+          fieldErrors[path] = fieldError.message;
+        });
+        errors.push({ row, sku, errors: fieldErrors });
+        return;
+      }
+
+      planned.push({ row, product, previous, removedKeys, action: existing ? 'update' : 'create' });
+    });
+
+    const results = [];
+
+    if (dryRun) {
+      planned.forEach(({ row, product, action }) => {
+        results.push({ row, sku: product.inventory.sku, action, productId: action === 'update' ? product._id : undefined });
+      });
+    } else {
+      for (const entry of planned) {
+        const { row, product, previous, removedKeys, action } = entry;
+        try {
+          await product.save();
+        } catch (error) {
+          const message = error.code === 11000 ? 'SKU is already in use' : error.message;
+          errors.push({ row, sku: product.inventory.sku, errors: { [error.code === 11000 ? 'sku' : 'row']: message } });
+          continue;
+        }
+
+        await imageService.removeFiles(removedKeys);
+        await this.afterSave(product, previous, action);
+        results.push({ row, sku: product.inventory.sku, action, productId: product._id });
+      }
+    }
+
+    const created = results.filter(result => result.action === 'create').length;
+
+    if (!dryRun && created > 0) {
+      await User.findByIdAndUpdate(user.id, { $inc: { 'stats.productsListed': created } });
+    }
+
+    return {
+      dryRun,
+      total: records.length,
+      created,
+      updated: results.length - created,
+      failed: errors.length,
+      ignoredColumns,
+      results,
+      errors: errors.sort((a, b) => a.row - b.row)
+    };
+  }
+
+  // Run the same follow-ups as single creates and updates
+  async afterSave(product, previous, action) {
+    if (action === 'create') {
+      realtimeService.publishProductEvent('product.created', product);
+      savedSearchService.alertMatches(product, 'new').catch(error => {
+        console.error('Saved search alerts failed:', error);
+      });
+      return;
+    }
+
+    await productService.applyStockRules(previous.inventory.quantity, product);
+    favoriteService.watchProductChange(previous, product);
+    if (product.price < previous.price) {
+      savedSearchService.alertMatches(product, 'price-drop').catch(error => {
+        console.error('Saved search alerts failed:', error);
+      });
+    }
+
+    const statusEvent = product.status !== previous.status && ['reserved', 'sold'].includes(product.status);
+    realtimeService.publishProductEvent(statusEvent ? `product.${product.status}` : 'product.updated', product);
+  }
+
+  // Cursor over the listings a user may export: their own, or every listing for admins
+  createExportCursor(user) {
+    const query = user.role === 'admin' ? {} : { createdBy: user.id };
+    return Product.find(query).sort({ createdAt: 1 }).lean().cursor();
+  }
+
+  // CSV header line for exports
+  csvHeader() {
+    return toCsvLine([...READ_ONLY_COLUMNS, ...COLUMNS.map(([column]) => column)]);
+  }
+
+  // Format one listing as a CSV or NDJSON line in the import layout, so exports re-import as updates
+  formatExportRow(product, format) {
+    const record = {
+      id: product._id.toString(),
+      name: product.name,
+      description: product.description,
+      price: product.price,
+      originalPrice: product.originalPrice,
+      category: product.category,
+      subcategory: product.subcategory,
+      brand: product.brand,
+      condition: product.condition,
+      status: product.status,
+      inventory: {
+        sku: product.inventory?.sku,
+        quantity: product.inventory?.quantity,
+        lowStockThreshold: product.inventory?.lowStockThreshold
+      },
+      // lat/lng are the source of truth; the GeoJSON point is derived on save
+      location: {
+        lat: product.location?.lat,
+        lng: product.location?.lng,
+        address: product.location?.address,
+        city: product.location?.city,
+        state: product.location?.state,
+        zipCode: product.location?.zipCode
+      },
+      tags: product.tags || [],
+      images: (product.images || []).map(image => image.url),
+      specifications: product.specifications,
+      shipping: product.shipping
+    };
+
+    if (format === 'ndjson') {
+      return `${JSON.stringify(record)}\n`;
+    }
+
+    const flat = flatten(record);
+    return toCsvLine([
+      record.id,
+      ...COLUMNS.map(([, path]) => (LIST_PATHS.includes(path) ? (flat[path] || []).join('|') : flat[path]))
+    ]);
+  }
+}
+
+module.exports = new BulkProductService();
@@ -0,0 +1,131 @@
+const Favorite = require('../models/Favorite');
+const Product = require('../models/Product');
+const notificationService = require('./notificationService');
+const { createError } = require('../utils/helpers');
+
+class FavoriteService {
+  // Bookmark a product at its current price
+  async addFavorite(userId, productId) {
+    const product = await Product.findById(productId).select('price');
+
+    if (!product) {
+      throw createError(404, 'Product not found');
+    }
+
+    try {
+      const favorite = await Favorite.create({
+        user: userId,
+        product: product._id,
+        savedPrice: product.price
+      });
+      await Product.updateOne({ _id: product._id }, { $inc: { favoriteCount: 1 } });
+      return favorite;
+    } catch (error) {
+      if (error.code === 11000) {
+        throw createError(409, 'Product is already in your favorites');
+      }
+      throw error;
+    }
+  }
+
+  // Remove a bookmark
+  async removeFavorite(userId, productId) {
+    const favorite = await Favorite.findOneAndDelete({ user: userId, product: productId });
+
+    if (!favorite) {
+      throw createError(404, 'Product is not in your favorites');
+    }
+
+    await Product.updateOne(
+      { _id: favorite.product, favoriteCount: { $gt: 0 } },
+      { $inc: { favoriteCount: -1 } }
+    );
+    return { message: 'Removed from favorites' };
+  }
+
+  // List the user's favorites with their products
+  async listFavorites(userId, options = {}) {
+    const { page = 1, limit = 20 } = options;
+    const query = { user: userId };
+
+    const favorites = await Favorite.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('product', 'name price originalPrice images status inventory location favoriteCount')
+      .lean();
+
+    const total = await Favorite.countDocuments(query);
+
+    return {
+      favorites: favorites.map(favorite => ({
+        ...favorite,
+        priceDropped: !!favorite.product && favorite.product.price < favorite.savedPrice
+      })),
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Remove every favorite of a deleted product
+  async removeProductFavorites(productId) {
+    await Favorite.deleteMany({ product: productId });
+  }
+
+  // Watch a listing change and alert users who favorited it. previous holds the
+  // price, inventory.quantity and status from before the change.
+  async handleProductChange(previous, product) {
+    const events = [];
+
+    if (product.price < previous.price) {
+      events.push({
+        type: 'favorite.priceDrop',
+        title: 'Price drop on a favorite',
+        body: `${product.name} dropped to $${product.price}.`,
+        // Only users who saved it at a higher price hear about it
+        match: { savedPrice: { $gt: product.price } }
+      });
+    }
+
+    if (previous.inventory?.quantity === 0 && product.inventory.quantity > 0) {
+      events.push({
+        type: 'favorite.backInStock',
+        title: 'A favorite is back in stock',
+        body: `${product.name} is available again.`,
+        match: {}
+      });
+    }
+
+    if (previous.status !== 'sold' && product.status === 'sold') {
+      events.push({
+        type: 'favorite.sold',
+        title: 'A favorite has sold',
+        body: `${product.name} has been sold.`,
+        match: {}
+      });
+    }
+
+    for (const event of events) {
+      const favorites = await Favorite.find({ product: product._id, ...event.match }).select('user').lean();
+      await Promise.all(favorites.map(favorite => notificationService.notify(favorite.user, event.type, {
+        title: event.title,
+        body: event.body,
+        path: `/products/${product._id}`,
+        data: { productId: product._id }
+      })));
+    }
+  }
+
+  // Run handleProductChange in the background, logging failures
+  watchProductChange(previous, product) {
+    this.handleProductChange(previous, product).catch(error => {
+      console.error('Favorite alerts failed:', error);
+    });
+  }
+}
+
+module.exports = new FavoriteService();
@@ -0,0 +1,188 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Favorite = require('../models/Favorite');
+const productService = require('./productService');
+const { calculateDistance, createError } = require('../utils/helpers');
+
+const EARTH_RADIUS_KM = 6378.1;
+
+// Order in which a page draws from each source; an exhausted source's turns go to the others
+const FEED_PATTERN = ['nearby', 'similar', 'nearby', 'fresh'];
+const FEED_SOURCES = ['nearby', 'similar', 'fresh'];
+
+// How many of the user's latest favorites describe their taste
+const MAX_TASTE_FAVORITES = 50;
+
+// Cursors are opaque to clients: base64url JSON of each source's last (createdAt, _id), or null once done
+const encodeCursor = (positions) => Buffer.from(JSON.stringify(positions)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  if (!cursor) return {};
+  try {
+    const positions = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    FEED_SOURCES.forEach(source => {
+      const position = positions[source];
+      if (position === undefined || position === null) return;
+      if (!mongoose.isValidObjectId(position.id) || Number.isNaN(new Date(position.createdAt).getTime())) {
+        throw new Error('Invalid position');
+      }
+    });
+    return positions;
+  } catch (error) {
+    throw createError(400, 'Invalid feed cursor');
+  }
+};
+
+// Newest first, after the given position
+const afterPosition = (position) => (position ? {
+  $or: [
+    { createdAt: { $lt: new Date(position.createdAt) } },
+    { createdAt: new Date(position.createdAt), _id: { $lt: new mongoose.Types.ObjectId(position.id) } }
+  ]
+} : {});
+
+// Matches none of the given filters (skipping sources that don't apply)
+const excluding = (...filters) => {
+  const applicable = filters.filter(Boolean);
+  return applicable.length > 0 ? { $nor: applicable } : {};
+};
+
+class FeedService {
+  // What the feed is built around: where to look, preferred categories and the taste shown by favorites
+  async buildProfile(user, { lat, lng, radius } = {}) {
+    const location = lat !== undefined && lng !== undefined ?
+      { lat: Number(lat), lng: Number(lng) } :
+      (Number.isFinite(user?.location?.lat) && Number.isFinite(user?.location?.lng) ? user.location : null);
+
+    const profile = {
+      userId: user?._id,
+      location: location && { lat: location.lat, lng: location.lng },
+      radius: Number(radius ?? productService.getDefaultSearchRadius(user)),
+      categories: user?.preferences?.preferredCategories || [],
+      taste: null
+    };
+
+    if (user) {
+      const favorites = await Favorite.find({ user: user._id })
+        .sort({ createdAt: -1 })
+        .limit(MAX_TASTE_FAVORITES)
+        .populate('product', 'category subcategory brand tags')
+        .lean();
+      const products = favorites.map(favorite => favorite.product).filter(Boolean);
+      const collect = (field) => [...new Set(products.flatMap(product => product[field] || []))];
+
+      const taste = {
+        subcategory: collect('subcategory'),
+        brand: collect('brand'),
+        tags: collect('tags')
+      };
+      // Fall back to categories when favorites carry nothing more specific
+      const clauses = Object.entries(taste)
+        .filter(([, values]) => values.length > 0)
+        .map(([field, values]) => ({ [field]: { $in: values } }));
+      if (clauses.length === 0 && products.length > 0) {
+        clauses.push({ category: { $in: collect('category') } });
+      }
+
+      profile.taste = clauses.length > 0 ? { $or: clauses } : null;
+      profile.favoriteIds = favorites.map(favorite => favorite.product?._id).filter(Boolean);
+    }
+
+    return profile;
+  }
+
+  // Filters for each source. They exclude each other, so a listing appears in the feed once.
+  buildSourceQueries(profile) {
+    const base = {
+      ...Product.VISIBLE,
+      status: 'active',
+      ...(profile.userId && {
+        createdBy: { $ne: profile.userId },
+        _id: { $nin: profile.favoriteIds }
+      })
+    };
+
+    const nearby = profile.location && {
+      'location.point': {
+        $geoWithin: {
+          $centerSphere: [[profile.location.lng, profile.location.lat], profile.radius / EARTH_RADIUS_KM]
+        }
+      },
+      ...(profile.categories.length > 0 && { category: { $in: profile.categories } })
+    };
+    const similar = profile.taste;
+
+    return {
+      nearby: nearby && { ...base, ...nearby },
+      similar: similar && { ...base, $and: [similar, excluding(nearby)] },
+      fresh: { ...base, ...excluding(nearby, similar) }
+    };
+  }
+
+  // One page of the feed: nearby listings in preferred categories, listings like the user's
+  // favorites and fresh listings, interleaved. Anonymous visitors get nearby (with lat/lng) and fresh.
+  async getFeed(user, { cursor, limit = 20, lat, lng, radius } = {}) {
+    const positions = decodeCursor(cursor);
+    const profile = await this.buildProfile(user, { lat, lng, radius });
+    const queries = this.buildSourceQueries(profile);
+
+    // A source is open unless it doesn't apply or an earlier page used it up
+    const open = FEED_SOURCES.filter(source => queries[source] && positions[source] !== null);
+    const candidates = {};
+    await Promise.all(open.map(async source => {
+      candidates[source] = await Product.find({ $and: [queries[source], afterPosition(positions[source])] })
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(limit)
+        .populate('createdBy', 'name profile.avatar stats.rating')
+        .lean();
+    }));
+
+    const products = [];
+    const taken = Object.fromEntries(open.map(source => [source, 0]));
+    for (let turn = 0; products.length < limit; turn++) {
+      const available = open.filter(source => taken[source] < candidates[source].length);
+      if (available.length === 0) break;
+
+      const preferred = FEED_PATTERN[turn % FEED_PATTERN.length];
+      const source = available.includes(preferred) ? preferred : available[0];
+      const product = candidates[source][taken[source]];
+      taken[source] += 1;
+
+      products.push({
+        ...product,
+        reason: source,
+        distanceKm: profile.location ?
+          Math.round(calculateDistance(profile.location.lat, profile.location.lng, product.location.lat, product.location.lng) * 100) / 100 :
+          undefined
+      });
+    }
+
+    // Each source resumes after its last shown listing; one that returned less than a full
+    // page and was shown in full is done
+    const next = {};
+    FEED_SOURCES.forEach(source => {
+      if (!open.includes(source)) {
+        next[source] = null;
+        return;
+      }
+      const fetched = candidates[source];
+      if (fetched.length < limit && taken[source] === fetched.length) {
+        next[source] = null;
+      } else if (taken[source] > 0) {
+        const last = fetched[taken[source] - 1];
+        next[source] = { createdAt: last.createdAt, id: last._id.toString() };
+      } else {
+        next[source] = positions[source];
+      }
+    });
+
+    const hasMore = FEED_SOURCES.some(source => next[source] !== null);
+    return {
+      products,
+      nextCursor: hasMore ? encodeCursor(next) : null,
+      personalized: Boolean(user)
+    };
+  }
+}
+
+module.exports = new FeedService();
@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { createStorage } = require('./storage');
+const { createError } = require('../utils/helpers');
+
+// Formats accepted from sellers, checked against the decoded file rather than its name
+const ALLOWED_FORMATS = ['jpeg', 'png', 'webp'];
+const MAX_PIXELS = 40 * 1000 * 1000;
+
+// Thumbnail plus responsive widths; everything is re-encoded as WebP
+const THUMBNAIL_SIZE = 200;
+const RESPONSIVE_WIDTHS = [400, 800, 1600];
+
+class ImageService {
+  constructor() {
+    this.storage = null;
+  }
+
+  getStorage() {
+    if (!this.storage) {
+      this.storage = createStorage();
+    }
+    return this.storage;
+  }
+
+  // Swap the storage adapter (e.g. a temporary directory in tests)
+  setStorage(storage) {
+    this.storage = storage;
+  }
+
+  // Validate an upload, strip its metadata and store all sizes; returns a Product.images entry
+  async processUpload(file, productId) {
+    let metadata;
+    try {
+      metadata = await sharp(file.buffer, { limitInputPixels: MAX_PIXELS }).metadata();
+    } catch (error) {
+      throw createError(400, `${file.originalname} is not a readable image`);
+    }
+
+    if (!ALLOWED_FORMATS.includes(metadata.format)) {
+      throw createError(400, `${file.originalname} must be a JPEG, PNG or WebP image`);
+    }
+
+    // rotate() bakes in the EXIF orientation; sharp drops EXIF/GPS metadata on output by default
+    const base = sharp(file.buffer, { limitInputPixels: MAX_PIXELS }).rotate();
+    const storage = this.getStorage();
+    const prefix = `products/${productId}/${crypto.randomBytes(8).toString('hex')}`;
+    const keys = [];
+
+    const store = async (name, pipeline) => {
+      const { data, info } = await pipeline.webp({ quality: 82 }).toBuffer({ resolveWithObject: true });
+      const key = `${prefix}/${name}.webp`;
+      const url = await storage.put(key, data, 'image/webp');
+      keys.push(key);
+      return { url, width: info.width, height: info.height };
+    };
+
+    try {
+      const thumbnail = await store('thumb', base.clone().resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover' }));
+
+      const variants = [];
+      for (const width of RESPONSIVE_WIDTHS) {
+        const variant = await store(`w${width}`, base.clone().resize({ width, withoutEnlargement: true }));
+        variants.push(variant);
+      }
+
+      const largest = variants[variants.length - 1];
+
+      return {
+        url: largest.url,
+        thumbnailUrl: thumbnail.url,
+        variants,
+        width: largest.width,
+        height: largest.height,
+        storageKeys: keys
+      };
+    } catch (error) {
+      await this.removeFiles(keys);
+      throw error;
+    }
+  }
+
+  // Delete stored files, logging rather than failing on errors
+  async removeFiles(keys = []) {
+    if (keys.length === 0) return;
+
+    const storage = this.getStorage();
+    await Promise.all(keys.map(key => storage.remove(key).catch(error => {
+      console.error(`Failed to remove stored image ${key}:`, error);
+    })));
+  }
+}
+
+module.exports = new ImageService();
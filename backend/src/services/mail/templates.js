@@ -0,0 +1,69 @@
+// Email templates. Each returns { subject, text, html } for the given data.
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Shared HTML shell so every message looks the same
+const layout = (title, bodyHtml) => `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #212529; max-width: 560px; margin: 0 auto;">
+    <h2 style="color: #006747;">Bull-Mart</h2>
+    <h3>${escapeHtml(title)}</h3>
+    ${bodyHtml}
+    <p style="color: #6c757d; font-size: 12px;">You received this email because of activity on your Bull-Mart account.</p>
+  </body>
+</html>`;
+
+const button = (url, label) =>
+  `<p><a href="${escapeHtml(url)}" style="background: #006747; color: #fff; padding: 10px 16px; text-decoration: none; border-radius: 4px;">${escapeHtml(label)}</a></p>
+    <p style="font-size: 12px;">Or paste this link into your browser: ${escapeHtml(url)}</p>`;
+
+const templates = {
+  verifyEmail: ({ name, link }) => ({
+    subject: 'Verify your Bull-Mart email address',
+    text: `Hi ${name},\n\nPlease verify your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`,
+    html: layout('Verify your email address', `
+    <p>Hi ${escapeHtml(name)},</p>
+    <p>Please verify your email address. The link expires in 24 hours.</p>
+    ${button(link, 'Verify email')}`)
+  }),
+
+  passwordReset: ({ name, link }) => ({
+    subject: 'Reset your Bull-Mart password',
+    text: `Hi ${name},\n\nSomeone asked to reset your password. If it was you, open this link:\n${link}\n\nThe link expires in 1 hour. If you didn't ask for this, you can ignore this email.`,
+    html: layout('Reset your password', `
+    <p>Hi ${escapeHtml(name)},</p>
+    <p>Someone asked to reset your password. The link expires in 1 hour.</p>
+    ${button(link, 'Reset password')}
+    <p>If you didn't ask for this, you can ignore this email.</p>`)
+  }),
+
+  notification: ({ name, title, body, link }) => ({
+    subject: title,
+    text: `Hi ${name},\n\n${body}${link ? `\n\n${link}` : ''}`,
+    html: layout(title, `
+    <p>Hi ${escapeHtml(name)},</p>
+    <p>${escapeHtml(body)}</p>
+    ${link ? button(link, 'View on Bull-Mart') : ''}`)
+  })
+};
+
+// Render a named template
+const renderTemplate = (name, data) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  return template(data);
+};
+
+module.exports = {
+  renderTemplate,
+  escapeHtml,
+  layout,
+  button
+};
@@ -0,0 +1,69 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Each transport exposes send(message) where message is { from, to, subject, text, html }
+
+// Deliver through an SMTP server
+const createSmtpTransport = () => {
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT || 587),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: message => transporter.sendMail(message)
+  };
+};
+
+// Write each message as a JSON file, for development and tests
+const createFileTransport = (directory = process.env.MAIL_FILE_DIR || 'mail-outbox') => ({
+  name: 'file',
+  directory,
+  async send(message) {
+    await fs.mkdir(directory, { recursive: true });
+    const filename = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+    await fs.writeFile(
+      path.join(directory, filename),
+      JSON.stringify({ ...message, sentAt: new Date() }, null, 2)
+    );
+    return { filename };
+  }
+});
+
+// Print messages to the console
+const createConsoleTransport = () => ({
+  name: 'console',
+  async send(message) {
+    console.log(`[mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+    return {};
+  }
+});
+
+// Pick a transport from MAIL_TRANSPORT (smtp, file or console)
+const createTransport = (type = process.env.MAIL_TRANSPORT) => {
+  switch (type) {
+    case 'smtp':
+      return createSmtpTransport();
+    case 'file':
+      return createFileTransport();
+    case 'console':
+      return createConsoleTransport();
+    default:
+      return process.env.NODE_ENV === 'production' ? createSmtpTransport() : createConsoleTransport();
+  }
+};
+
+module.exports = {
+  createTransport,
+  createSmtpTransport,
+  createFileTransport,
+  createConsoleTransport
+};
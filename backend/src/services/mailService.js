@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const { createTransport } = require('./mail/transports');
+const { renderTemplate } = require('./mail/templates');
+
+const MAX_ATTEMPTS = Number(process.env.MAIL_MAX_ATTEMPTS || 5);
+const BASE_RETRY_DELAY = 2000; // doubles after every failed attempt
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+class MailService {
+  constructor() {
+    this.transport = null;
+    this.queue = [];
+    this.processing = false;
+  }
+
+  getTransport() {
+    if (!this.transport) {
+      this.transport = createTransport();
+    }
+    return this.transport;
+  }
+
+  // Swap the transport (e.g. a file transport in tests)
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  // Render a template and queue it for delivery; returns the job id
+  enqueue(template, to, data = {}) {
+    const job = {
+      id: crypto.randomBytes(8).toString('hex'),
+      to,
+      template,
+      message: {
+        from: process.env.MAIL_FROM || 'Bull-Mart <no-reply@bullmart.local>',
+        to,
+        ...renderTemplate(template, data)
+      },
+      attempts: 0,
+      nextAttemptAt: Date.now()
+    };
+
+    this.queue.push(job);
+    this.processQueue();
+    return job.id;
+  }
+
+  // Deliver due jobs one at a time, rescheduling failures with exponential backoff
+  async processQueue() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      while (true) {
+        const now = Date.now();
+        const job = this.queue.find(queued => queued.nextAttemptAt <= now);
+        if (!job) break;
+
+        this.queue.splice(this.queue.indexOf(job), 1);
+        job.attempts += 1;
+
+        try {
+          await this.getTransport().send(job.message);
+        } catch (error) {
+          if (job.attempts >= MAX_ATTEMPTS) {
+            console.error(`Mail ${job.template} to ${job.to} failed after ${job.attempts} attempts:`, error);
+            continue;
+          }
+
+          const delay = BASE_RETRY_DELAY * 2 ** (job.attempts - 1);
+          console.error(`Mail ${job.template} to ${job.to} failed (attempt ${job.attempts}), retrying in ${delay}ms:`, error.message);
+          job.nextAttemptAt = Date.now() + delay;
+          this.queue.push(job);
+          setTimeout(() => this.processQueue(), delay).unref();
+        }
+      }
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  // Send the email verification link
+  sendVerificationEmail(user, token) {
+    return this.enqueue('verifyEmail', user.email, {
+      name: user.name,
+      link: `${frontendUrl()}/verify-email?token=${encodeURIComponent(token)}`
+    });
+  }
+
+  // Send the password reset link
+  sendPasswordResetEmail(user, token) {
+    return this.enqueue('passwordReset', user.email, {
+      name: user.name,
+      link: `${frontendUrl()}/reset-password?token=${encodeURIComponent(token)}`
+    });
+  }
+}
+
+module.exports = new MailService();
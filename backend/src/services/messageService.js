@@ -0,0 +1,187 @@
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Product = require('../models/Product');
+const realtimeService = require('./realtimeService');
+const notificationService = require('./notificationService');
+const { createError } = require('../utils/helpers');
+
+// Roles that can read any thread (e.g. to follow up on a report) without taking part
+const OVERSIGHT_ROLES = ['admin', 'moderator'];
+
+class MessageService {
+  // Load a thread and check the user may see it
+  async getConversationForUser(conversationId, user, { allowOversight = true } = {}) {
+    const conversation = await Conversation.findById(conversationId);
+
+    if (!conversation) {
+      throw createError(404, 'Conversation not found');
+    }
+
+    const canOversee = allowOversight && OVERSIGHT_ROLES.includes(user.role);
+    if (!conversation.hasParticipant(user.id) && !canOversee) {
+      throw createError(403, 'You do not have access to this conversation');
+    }
+
+    return conversation;
+  }
+
+  // Start (or reopen) a buyer's thread with the seller of a listing
+  async startConversation(productId, body, userId) {
+    const product = await Product.findById(productId).select('createdBy status');
+
+    if (!product) {
+      throw createError(404, 'Product not found');
+    }
+
+    if (product.createdBy.toString() === userId.toString()) {
+      throw createError(403, 'You cannot message yourself about your own product');
+    }
+
+    const conversation = await Conversation.findOneAndUpdate(
+      { product: product._id, buyer: userId },
+      { $setOnInsert: { product: product._id, buyer: userId, seller: product.createdBy } },
+      { upsert: true, new: true }
+    );
+
+    const message = await this.createMessage(conversation, body, userId);
+
+    return { conversation, message };
+  }
+
+  // Send a message in an existing thread (participants only)
+  async sendMessage(conversationId, body, user) {
+    const conversation = await this.getConversationForUser(conversationId, user, { allowOversight: false });
+    return this.createMessage(conversation, body, user.id);
+  }
+
+  // Store a message and bump the thread
+  async createMessage(conversation, body, senderId) {
+    if (!body || !body.trim()) {
+      throw createError(400, 'Message body is required');
+    }
+
+    const message = await Message.create({
+      conversation: conversation._id,
+      sender: senderId,
+      recipient: conversation.otherParticipant(senderId),
+      body
+    });
+
+    await Conversation.updateOne(
+      { _id: conversation._id },
+      {
+        $set: {
+          lastMessage: { body: message.body.slice(0, 200), sender: senderId, sentAt: message.createdAt },
+          updatedAt: message.createdAt
+        }
+      }
+    );
+
+    realtimeService.notifyUser(message.recipient, 'message.created', {
+      conversation: conversation._id,
+      message
+    });
+    notificationService.dispatch(message.recipient, 'message.created', {
+      title: 'New message',
+      body: message.body.slice(0, 200),
+      path: `/conversations/${conversation._id}`,
+      data: { conversationId: conversation._id, messageId: message._id }
+    });
+
+    return message;
+  }
+
+  // List a user's threads, most recent first, with unread counts
+  async getInbox(userId, options = {}) {
+    const { page = 1, limit = 20 } = options;
+
+    const query = { $or: [{ buyer: userId }, { seller: userId }] };
+
+    const conversations = await Conversation.find(query)
+      .sort({ updatedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('product', 'name price images status')
+      .populate('buyer', 'name profile.avatar')
+      .populate('seller', 'name profile.avatar')
+      .lean();
+
+    const unread = await Message.aggregate([
+      {
+        $match: {
+          recipient: userId,
+          readAt: null,
+          conversation: { $in: conversations.map(conversation => conversation._id) }
+        }
+      },
+      { $group: { _id: '$conversation', count: { $sum: 1 } } }
+    ]);
+    const unreadByConversation = new Map(unread.map(entry => [entry._id.toString(), entry.count]));
+
+    const total = await Conversation.countDocuments(query);
+
+    return {
+      conversations: conversations.map(conversation => ({
+        ...conversation,
+        unreadCount: unreadByConversation.get(conversation._id.toString()) || 0
+      })),
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Get a thread's messages, newest first
+  async getMessages(conversationId, user, options = {}) {
+    const { page = 1, limit = 50 } = options;
+
+    const conversation = await this.getConversationForUser(conversationId, user);
+    await conversation.populate([
+      { path: 'product', select: 'name price images status' },
+      { path: 'buyer', select: 'name profile.avatar' },
+      { path: 'seller', select: 'name profile.avatar' }
+    ]);
+
+    const query = { conversation: conversation._id };
+
+    const messages = await Message.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    const total = await Message.countDocuments(query);
+
+    return {
+      conversation,
+      messages,
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Mark every message the user received in a thread as read
+  async markConversationRead(conversationId, user) {
+    const conversation = await this.getConversationForUser(conversationId, user, { allowOversight: false });
+
+    const result = await Message.updateMany(
+      { conversation: conversation._id, recipient: user.id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    return { updated: result.modifiedCount };
+  }
+
+  // Total unread messages across all of a user's threads
+  async getUnreadCount(userId) {
+    return Message.countUnread(userId);
+  }
+}
+
+module.exports = new MessageService();
@@ -0,0 +1,314 @@
+const Report = require('../models/Report');
+const ModerationAction = require('../models/ModerationAction');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const productService = require('./productService');
+const notificationService = require('./notificationService');
+const realtimeService = require('./realtimeService');
+const sessionService = require('./sessionService');
+const { createError } = require('../utils/helpers');
+
+const DAY_MS = 86400000;
+
+// API target names and the models behind them
+const TARGET_MODELS = { product: 'Product', user: 'User' };
+
+// Reports kept per queue entry; the count covers them all
+const MAX_QUEUE_REPORTS = 20;
+
+const ownerId = (product) => (product.createdBy._id || product.createdBy).toString();
+
+class ModerationService {
+  // Report a listing or a user; one open report per reporter per target
+  async createReport(reporterId, { targetType, targetId, reason, details }) {
+    const model = TARGET_MODELS[targetType];
+
+    if (model === 'Product') {
+      const product = await Product.findById(targetId).select('createdBy');
+      if (!product) {
+        throw createError(404, 'Product not found');
+      }
+      if (ownerId(product) === reporterId.toString()) {
+        throw createError(400, 'You cannot report your own listing');
+      }
+    } else {
+      const user = await User.exists({ _id: targetId });
+      if (!user) {
+        throw createError(404, 'User not found');
+      }
+      if (targetId.toString() === reporterId.toString()) {
+        throw createError(400, 'You cannot report yourself');
+      }
+    }
+
+    try {
+      return await Report.create({ reporter: reporterId, targetType: model, target: targetId, reason, details });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw createError(409, `You have already reported this ${targetType}`);
+      }
+      throw error;
+    }
+  }
+
+  // Moderation queue: reported listings and users with open reports, most reported first
+  async getQueue(options = {}) {
+    const { targetType, page = 1, limit = 20 } = options;
+    const match = { status: 'open', ...(targetType && { targetType: TARGET_MODELS[targetType] }) };
+
+    const [result] = await Report.aggregate([
+      { $match: match },
+      { $sort: { createdAt: -1 } },
+      {
+        $group: {
+          _id: { targetType: '$targetType', target: '$target' },
+          reportCount: { $sum: 1 },
+          reasons: { $addToSet: '$reason' },
+          reports: {
+            $push: { _id: '$_id', reporter: '$reporter', reason: '$reason', details: '$details', createdAt: '$createdAt' }
+          },
+          firstReportedAt: { $min: '$createdAt' },
+          lastReportedAt: { $max: '$createdAt' }
+        }
+      },
+      { $sort: { reportCount: -1, firstReportedAt: 1 } },
+      {
+        $facet: {
+          items: [
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            { $addFields: { reports: { $slice: ['$reports', MAX_QUEUE_REPORTS] } } }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const idsOf = (model) => result.items.filter(item => item._id.targetType === model).map(item => item._id.target);
+    const [products, users] = await Promise.all([
+      Product.find({ _id: { $in: idsOf('Product') } })
+        .select('name price status images moderation createdBy')
+        .populate('createdBy', 'name email')
+        .lean(),
+      User.find({ _id: { $in: idsOf('User') } })
+        .select('name email role moderation createdAt')
+        .lean()
+    ]);
+    const targets = new Map([...products, ...users].map(target => [target._id.toString(), target]));
+
+    const total = result.total[0]?.count || 0;
+    return {
+      items: result.items.map(({ _id, ...entry }) => ({
+        targetType: _id.targetType === 'Product' ? 'product' : 'user',
+        target: targets.get(_id.target.toString()) || { _id: _id.target, deleted: true },
+        ...entry
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Hide, restore or remove a listing
+  async moderateProduct(productId, action, moderator, { reason }) {
+    const product = await Product.findById(productId);
+
+    if (!product) {
+      throw createError(404, 'Product not found');
+    }
+
+    const sellerId = product.createdBy;
+    const details = { name: product.name, seller: sellerId };
+
+    if (action === 'hide') {
+      if (product.moderation?.hidden) {
+        throw createError(409, 'Listing is already hidden');
+      }
+      product.moderation = { hidden: true, reason, hiddenAt: new Date(), hiddenBy: moderator.id };
+      await product.save();
+      realtimeService.publishProductEvent('product.hidden', product);
+    } else if (action === 'restore') {
+      if (!product.moderation?.hidden) {
+        throw createError(409, 'Listing is not hidden');
+      }
+      product.moderation = { hidden: false };
+      await product.save();
+      realtimeService.publishProductEvent('product.updated', product);
+    } else {
+      await productService.deleteProduct(product._id, moderator);
+    }
+
+    const record = await this.recordAction(moderator, action, 'Product', product._id, reason, details);
+
+    const messages = {
+      hide: `Your listing "${product.name}" was hidden by a moderator.`,
+      restore: `Your listing "${product.name}" is visible again.`,
+      remove: `Your listing "${product.name}" was removed by a moderator.`
+    };
+    notificationService.dispatch(sellerId, 'moderation.action', {
+      title: 'Moderation update',
+      body: `${messages[action]} Reason: ${reason}`,
+      path: action === 'remove' ? undefined : `/products/${product._id}`,
+      data: { action, productId: product._id, moderationActionId: record._id }
+    });
+
+    return record;
+  }
+
+  // Warn, suspend (for durationDays, or until reinstated) or reinstate a user
+  async moderateUser(userId, action, moderator, { reason, durationDays }) {
+    if (userId.toString() === moderator.id.toString()) {
+      throw createError(400, 'You cannot moderate your own account');
+    }
+
+    const user = await User.findById(userId);
+
+    if (!user) {
+      throw createError(404, 'User not found');
+    }
+
+    // Moderators handle regular accounts; only admins can act on staff
+    if (user.role !== 'user' && moderator.role !== 'admin') {
+      throw createError(403, 'Only admins can moderate staff accounts');
+    }
+
+    const details = {};
+
+    if (action === 'warn') {
+      user.moderation.warnings.push({ reason, moderator: moderator.id });
+      details.warningCount = user.moderation.warnings.length;
+    } else if (action === 'suspend') {
+      user.moderation.suspended = true;
+      user.moderation.suspendedUntil = durationDays ? new Date(Date.now() + durationDays * DAY_MS) : undefined;
+      user.moderation.suspensionReason = reason;
+      details.suspendedUntil = user.moderation.suspendedUntil || null;
+    } else {
+      if (!user.isSuspended()) {
+        throw createError(409, 'User is not suspended');
+      }
+      user.moderation.suspended = false;
+      user.moderation.suspendedUntil = undefined;
+      user.moderation.suspensionReason = undefined;
+    }
+
+    await user.save();
+
+    // Suspended users are signed out everywhere
+    if (action === 'suspend') {
+      await sessionService.revokeAllSessions(user._id);
+    }
+
+    const record = await this.recordAction(moderator, action, 'User', user._id, reason, details);
+
+    const messages = {
+      warn: 'You have received a warning from a moderator.',
+      suspend: details.suspendedUntil ?
+        `Your account is suspended until ${details.suspendedUntil.toISOString().slice(0, 10)}.` :
+        'Your account is suspended.',
+      reinstate: 'Your account suspension has been lifted.'
+    };
+    notificationService.dispatch(user._id, 'moderation.action', {
+      title: 'Moderation update',
+      body: `${messages[action]} Reason: ${reason}`,
+      data: { action, moderationActionId: record._id }
+    });
+
+    return record;
+  }
+
+  // Close a report without acting on its target
+  async dismissReport(reportId, moderator, { reason }) {
+    const report = await Report.findById(reportId);
+
+    if (!report) {
+      throw createError(404, 'Report not found');
+    }
+
+    if (report.status !== 'open') {
+      throw createError(409, 'Report is already closed');
+    }
+
+    const record = await ModerationAction.create({
+      moderator: moderator.id,
+      action: 'dismiss',
+      targetType: 'Report',
+      target: report._id,
+      reason,
+      reports: [report._id],
+      details: { targetType: report.targetType, target: report.target }
+    });
+
+    report.status = 'dismissed';
+    report.resolution = record._id;
+    report.resolvedAt = new Date();
+    await report.save();
+
+    return record;
+  }
+
+  // Write the audit record for an action and close the target's open reports with it.
+  // Restoring or reinstating means the reports didn't hold up, so those are dismissed.
+  async recordAction(moderator, action, targetType, targetId, reason, details) {
+    const openReports = await Report.find({ targetType, target: targetId, status: 'open' }).select('_id').lean();
+    const reportIds = openReports.map(report => report._id);
+
+    const record = await ModerationAction.create({
+      moderator: moderator.id,
+      action,
+      targetType,
+      target: targetId,
+      reason,
+      reports: reportIds,
+      details
+    });
+
+    if (reportIds.length > 0) {
+      await Report.updateMany(
+        { _id: { $in: reportIds } },
+        {
+          $set: {
+            status: ['restore', 'reinstate'].includes(action) ? 'dismissed' : 'resolved',
+            resolution: record._id,
+            resolvedAt: new Date(),
+            updatedAt: new Date()
+          }
+        }
+      );
+    }
+
+    return record;
+  }
+
+  // Audit log of moderation actions, newest first
+  async listActions(options = {}) {
+    const { targetType, targetId, moderatorId, page = 1, limit = 20 } = options;
+    const query = {};
+    if (targetType) query.targetType = TARGET_MODELS[targetType] || 'Report';
+    if (targetId) query.target = targetId;
+    if (moderatorId) query.moderator = moderatorId;
+
+    const actions = await ModerationAction.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('moderator', 'name role')
+      .lean();
+
+    const total = await ModerationAction.countDocuments(query);
+
+    return {
+      actions,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+}
+
+module.exports = new ModerationService();
@@ -0,0 +1,219 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const mailService = require('./mailService');
+const realtimeService = require('./realtimeService');
+const { createError } = require('../utils/helpers');
+
+const CHANNELS = ['inApp', 'email', 'push', 'sms'];
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// Default SMS sender logs the text; swap in a provider with setSmsSender
+const consoleSmsSender = async (phone, text) => {
+  console.log(`[sms] To: ${phone} | ${text}`);
+};
+
+// Channels enabled for one notification type: the type override if set, else the global toggle.
+// In-app notifications have no global toggle and are on unless a type turns them off.
+const resolveChannels = (preferences = {}, type) => {
+  const override = (preferences.types || []).find(entry => entry.type === type) || {};
+  const channels = {};
+  CHANNELS.forEach(channel => {
+    const fallback = channel === 'inApp' ? true : !!preferences[channel];
+    channels[channel] = typeof override[channel] === 'boolean' ? override[channel] : fallback;
+  });
+  return channels;
+};
+
+class NotificationService {
+  constructor() {
+    this.smsSender = consoleSmsSender;
+  }
+
+  setSmsSender(sender) {
+    this.smsSender = sender;
+  }
+
+  // Record a notification and deliver it over the channels the user enabled for its type.
+  // path is a frontend route (e.g. /products/123) used for links.
+  async notify(userId, type, { title, body, path, data } = {}) {
+    const user = await User.findById(userId)
+      .select('name email preferences.notifications profile.phone verification.phoneVerified');
+    if (!user) return [];
+
+    const channels = resolveChannels(user.preferences?.notifications, type);
+    const link = path ? `${frontendUrl()}${path}` : undefined;
+    const deliveries = [];
+
+    let notification = { type, title, body, path, data, createdAt: new Date() };
+    if (channels.inApp) {
+      notification = await Notification.create({ user: user._id, ...notification });
+      deliveries.push('inApp');
+    }
+
+    if (channels.push) {
+      realtimeService.notifyUser(user._id, 'notification', notification);
+      deliveries.push('push');
+    }
+
+    if (channels.email) {
+      mailService.enqueue('notification', user.email, { name: user.name, title, body, link });
+      deliveries.push('email');
+    }
+
+    if (channels.sms && user.profile?.phone && user.verification?.phoneVerified) {
+      try {
+        await this.smsSender(user.profile.phone, `${title}: ${body}${link ? ` ${link}` : ''}`);
+        deliveries.push('sms');
+      } catch (error) {
+        console.error(`SMS notification ${type} to user ${user._id} failed:`, error);
+      }
+    }
+
+    return deliveries;
+  }
+
+  // Fire-and-forget notify for callers that shouldn't fail on delivery problems
+  dispatch(userId, type, payload) {
+    this.notify(userId, type, payload).catch(error => {
+      console.error(`Notification ${type} to user ${userId} failed:`, error);
+    });
+  }
+
+  // List a user's notifications, newest first, with the unread count
+  async listNotifications(userId, options = {}) {
+    const { page = 1, limit = 20, unread = false } = options;
+
+    const query = { user: userId };
+    if (unread) query.readAt = null;
+
+    const notifications = await Notification.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    const total = await Notification.countDocuments(query);
+    const unreadCount = await this.getUnreadCount(userId);
+
+    return {
+      notifications,
+      unreadCount,
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Count a user's unread notifications
+  async getUnreadCount(userId) {
+    return Notification.countDocuments({ user: userId, readAt: null });
+  }
+
+  // Mark one notification read
+  async markRead(notificationId, userId) {
+    const notification = await Notification.findOne({ _id: notificationId, user: userId });
+
+    if (!notification) {
+      throw createError(404, 'Notification not found');
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    return notification;
+  }
+
+  // Mark every notification of a user read
+  async markAllRead(userId) {
+    const result = await Notification.updateMany(
+      { user: userId, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+    return { updated: result.modifiedCount };
+  }
+
+  // Global channel toggles, per-type overrides and the effective channels of every type
+  async getPreferences(userId) {
+    const user = await User.findById(userId).select('preferences.notifications');
+
+    if (!user) {
+      throw createError(404, 'User not found');
+    }
+
+    const preferences = user.preferences.notifications.toObject();
+    const effective = {};
+    Notification.TYPES.forEach(type => {
+      effective[type] = resolveChannels(preferences, type);
+    });
+
+    return {
+      email: preferences.email,
+      push: preferences.push,
+      sms: preferences.sms,
+      types: preferences.types || [],
+      effective,
+      availableTypes: Notification.TYPES
+    };
+  }
+
+  // Update global toggles and per-type overrides. types maps a type to channel flags;
+  // a null value for a type removes its override.
+  async updatePreferences(userId, { email, push, sms, types } = {}) {
+    const user = await User.findById(userId).select('preferences.notifications');
+
+    if (!user) {
+      throw createError(404, 'User not found');
+    }
+
+    const notifications = user.preferences.notifications;
+    const toggles = { email, push, sms };
+    Object.entries(toggles).forEach(([channel, value]) => {
+      if (value === undefined) return;
+      if (typeof value !== 'boolean') {
+        throw createError(400, `${channel} must be true or false`);
+      }
+      notifications[channel] = value;
+    });
+
+    if (types !== undefined) {
+      if (!types || typeof types !== 'object' || Array.isArray(types)) {
+        throw createError(400, 'types must map notification types to channel settings');
+      }
+
+      const overrides = new Map((notifications.types || []).map(entry => [entry.type, entry.toObject()]));
+
+      Object.entries(types).forEach(([type, settings]) => {
+        if (!Notification.TYPES.includes(type)) {
+          throw createError(400, `Unknown notification type: ${type}`);
+        }
+
+        if (settings === null) {
+          overrides.delete(type);
+          return;
+        }
+
+        const entry = { ...(overrides.get(type) || {}), type };
+        CHANNELS.forEach(channel => {
+          if (settings[channel] === undefined) return;
+          if (typeof settings[channel] !== 'boolean') {
+            throw createError(400, `${type}.${channel} must be true or false`);
+          }
+          entry[channel] = settings[channel];
+        });
+        overrides.set(type, entry);
+      });
+
+      notifications.types = [...overrides.values()];
+    }
+
+    await user.save();
+    return this.getPreferences(userId);
+  }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,286 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const OAuthState = require('../models/OAuthState');
+const { createError } = require('../utils/helpers');
+
+const STATE_TTL = 10 * 60 * 1000; // 10 minutes
+
+// Built-in providers. Each maps onto a User.social.<name>Id field. Any URL can be
+// overridden with OAUTH_<NAME>_AUTHORIZATION_URL / _TOKEN_URL / _USERINFO_URL, e.g.
+// to point at a local mock identity provider in development and tests.
+const defaultProviders = {
+  google: {
+    authorizationUrl: 'https://accounts.google.com/o/oauth2/v2/auth',
+    tokenUrl: 'https://oauth2.googleapis.com/token',
+    userInfoUrl: 'https://openidconnect.googleapis.com/v1/userinfo',
+    scope: 'openid email profile',
+    tokenAuth: 'body',
+    mapProfile: (data) => ({
+      id: data.sub,
+      email: data.email,
+      emailVerified: data.email_verified === true || data.email_verified === 'true',
+      name: data.name,
+      avatar: data.picture
+    })
+  },
+  facebook: {
+    authorizationUrl: 'https://www.facebook.com/v18.0/dialog/oauth',
+    tokenUrl: 'https://graph.facebook.com/v18.0/oauth/access_token',
+    userInfoUrl: 'https://graph.facebook.com/me?fields=id,name,email,picture.type(large)',
+    scope: 'email public_profile',
+    tokenAuth: 'body',
+    mapProfile: (data) => ({
+      id: data.id,
+      email: data.email,
+      // Facebook only returns confirmed addresses
+      emailVerified: !!data.email,
+      name: data.name,
+      avatar: data.picture?.data?.url
+    })
+  },
+  twitter: {
+    authorizationUrl: 'https://twitter.com/i/oauth2/authorize',
+    tokenUrl: 'https://api.twitter.com/2/oauth2/token',
+    userInfoUrl: 'https://api.twitter.com/2/users/me?user.fields=profile_image_url',
+    scope: 'users.read tweet.read',
+    tokenAuth: 'basic',
+    mapProfile: (data) => ({
+      id: data.data?.id,
+      // Twitter doesn't share email addresses through this API
+      email: null,
+      emailVerified: false,
+      name: data.data?.name,
+      avatar: data.data?.profile_image_url
+    })
+  }
+};
+
+const base64Url = (buffer) => buffer.toString('base64url');
+
+class OAuthService {
+  constructor() {
+    this.providers = {};
+    Object.entries(defaultProviders).forEach(([name, config]) => this.registerProvider(name, config));
+  }
+
+  // Register or replace a provider; env variables fill in credentials and URL overrides.
+  // The name must match a User.social.<name>Id field.
+  registerProvider(name, config) {
+    if (!User.schema.path(`social.${name}Id`)) {
+      throw new Error(`No User.social.${name}Id field for OAuth provider ${name}`);
+    }
+
+    const prefix = `OAUTH_${name.toUpperCase()}_`;
+    this.providers[name] = {
+      ...config,
+      clientId: config.clientId || process.env[`${prefix}CLIENT_ID`],
+      clientSecret: config.clientSecret || process.env[`${prefix}CLIENT_SECRET`],
+      authorizationUrl: process.env[`${prefix}AUTHORIZATION_URL`] || config.authorizationUrl,
+      tokenUrl: process.env[`${prefix}TOKEN_URL`] || config.tokenUrl,
+      userInfoUrl: process.env[`${prefix}USERINFO_URL`] || config.userInfoUrl
+    };
+  }
+
+  // Names of providers that have credentials configured
+  listProviders() {
+    return Object.keys(this.providers).filter(name => this.providers[name].clientId);
+  }
+
+  getProvider(name) {
+    const provider = this.providers[name];
+    if (!provider) {
+      throw createError(404, `Unknown OAuth provider: ${name}`);
+    }
+    if (!provider.clientId) {
+      throw createError(503, `OAuth provider ${name} is not configured`);
+    }
+    return provider;
+  }
+
+  getRedirectUri(name) {
+    const base = process.env.OAUTH_CALLBACK_BASE_URL || `http://localhost:${process.env.PORT || 5000}`;
+    return `${base}/api/auth/oauth/${name}/callback`;
+  }
+
+  // Build the provider's authorization URL (with state and PKCE) for login or linking
+  async createAuthorizationUrl(name, linkUserId = null) {
+    const provider = this.getProvider(name);
+
+    const state = base64Url(crypto.randomBytes(24));
+    const codeVerifier = base64Url(crypto.randomBytes(48));
+    const codeChallenge = base64Url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+    await OAuthState.create({
+      state,
+      provider: name,
+      codeVerifier,
+      linkUser: linkUserId,
+      expiresAt: new Date(Date.now() + STATE_TTL)
+    });
+
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: provider.clientId,
+      redirect_uri: this.getRedirectUri(name),
+      scope: provider.scope,
+      state,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    });
+
+    return `${provider.authorizationUrl}?${params.toString()}`;
+  }
+
+  // Exchange the authorization code and fetch the provider profile
+  async fetchProfile(name, provider, code, codeVerifier) {
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: this.getRedirectUri(name),
+      code_verifier: codeVerifier,
+      client_id: provider.clientId
+    });
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+
+    if (provider.tokenAuth === 'basic') {
+      const credentials = Buffer.from(`${provider.clientId}:${provider.clientSecret}`).toString('base64');
+      headers.Authorization = `Basic ${credentials}`;
+    } else {
+      body.set('client_secret', provider.clientSecret);
+    }
+
+    const tokenResponse = await fetch(provider.tokenUrl, { method: 'POST', headers, body });
+    if (!tokenResponse.ok) {
+      throw createError(502, `Could not complete sign-in with ${name}`);
+    }
+    const { access_token: accessToken } = await tokenResponse.json();
+
+    const profileResponse = await fetch(provider.userInfoUrl, {
+      headers: { Authorization: `Bearer ${accessToken}`, Accept: 'application/json' }
+    });
+    if (!profileResponse.ok) {
+      throw createError(502, `Could not load your ${name} profile`);
+    }
+
+    const profile = provider.mapProfile(await profileResponse.json());
+    if (!profile.id) {
+      throw createError(502, `${name} did not return an account id`);
+    }
+    profile.id = String(profile.id);
+    return profile;
+  }
+
+  // Handle the provider callback: returns { user, linked } for a login or a link
+  async handleCallback(name, { code, state, error }) {
+    const provider = this.getProvider(name);
+
+    if (error) {
+      throw createError(400, `Sign-in with ${name} was cancelled`);
+    }
+
+    if (typeof code !== 'string' || typeof state !== 'string') {
+      throw createError(400, 'Authorization code and state are required');
+    }
+
+    // States are single-use
+    const pending = await OAuthState.findOneAndDelete({ state, provider: name });
+    if (!pending || pending.expiresAt < new Date()) {
+      throw createError(400, 'Sign-in request has expired. Please try again.');
+    }
+
+    const profile = await this.fetchProfile(name, provider, code, pending.codeVerifier);
+
+    if (pending.linkUser) {
+      const user = await this.linkProvider(pending.linkUser, name, profile.id);
+      return { user, linked: true };
+    }
+
+    const user = await this.findOrCreateUser(name, profile);
+    return { user, linked: false };
+  }
+
+  // Find the account for a provider profile, linking by verified email or creating one
+  async findOrCreateUser(name, profile) {
+    const existing = await User.findBySocialId(name, profile.id);
+    if (existing) return existing;
+
+    if (!profile.email) {
+      throw createError(400, `Your ${name} account did not share an email address. Log in another way and link ${name} from your settings.`);
+    }
+
+    const byEmail = await User.findByEmail(profile.email);
+    if (byEmail) {
+      // Only trust the provider's claim to the address if it verified it
+      if (!profile.emailVerified) {
+        throw createError(409, `An account with this email already exists. Log in and link ${name} from your settings.`);
+      }
+      byEmail.social[`${name}Id`] = profile.id;
+      await this.saveLinkedUser(byEmail, name);
+      return byEmail;
+    }
+
+    const user = new User({
+      name: profile.name || profile.email.split('@')[0],
+      email: profile.email,
+      // Social accounts get an unusable random password; they can set one via password reset
+      password: crypto.randomBytes(32).toString('hex'),
+      profile: { avatar: profile.avatar },
+      verification: { emailVerified: profile.emailVerified },
+      social: { [`${name}Id`]: profile.id }
+    });
+    await this.saveLinkedUser(user, name);
+    return user;
+  }
+
+  // Attach a provider account to a signed-in user
+  async linkProvider(userId, name, providerUserId) {
+    const owner = await User.findBySocialId(name, providerUserId);
+    if (owner && owner._id.toString() !== userId.toString()) {
+      throw createError(409, `This ${name} account is already linked to another user`);
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      throw createError(404, 'User not found');
+    }
+
+    user.social[`${name}Id`] = providerUserId;
+    await this.saveLinkedUser(user, name);
+    return user;
+  }
+
+  // Save a user with a newly linked provider id. The unique index catches a concurrent
+  // flow that linked the same provider account to someone else after our ownership check.
+  async saveLinkedUser(user, name) {
+    try {
+      await user.save();
+    } catch (error) {
+      if (error.code === 11000 && error.keyPattern?.[`social.${name}Id`]) {
+        throw createError(409, `This ${name} account is already linked to another user`);
+      }
+      throw error;
+    }
+  }
+
+  // Detach a provider account
+  async unlinkProvider(userId, name) {
+    if (!this.providers[name]) {
+      throw createError(404, `Unknown OAuth provider: ${name}`);
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      throw createError(404, 'User not found');
+    }
+
+    if (!user.social[`${name}Id`]) {
+      throw createError(400, `${name} is not linked to your account`);
+    }
+
+    user.social[`${name}Id`] = undefined;
+    await user.save();
+    return { message: `${name} unlinked successfully`, social: user.social };
+  }
+}
+
+module.exports = new OAuthService();
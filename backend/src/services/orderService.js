@@ -0,0 +1,265 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const realtimeService = require('./realtimeService');
+const favoriteService = require('./favoriteService');
+const notificationService = require('./notificationService');
+const productService = require('./productService');
+const { createError } = require('../utils/helpers');
+
+// Which party may move an order into each status
+const STATUS_ACTORS = {
+  accepted: ['seller'],
+  declined: ['seller'],
+  fulfilled: ['seller'],
+  cancelled: ['buyer', 'seller']
+};
+
+class OrderService {
+  // Work out whether the user is the buyer, the seller or an admin on an order
+  getParticipantRole(order, user) {
+    const userId = user.id.toString();
+    if ((order.buyer._id || order.buyer).toString() === userId) return 'buyer';
+    if ((order.seller._id || order.seller).toString() === userId) return 'seller';
+    if (user.role === 'admin') return 'admin';
+    return null;
+  }
+
+  // Place an order, reserving inventory for it
+  async placeOrder(orderData, buyerId) {
+    const { productId, note } = orderData;
+    const quantity = Number(orderData.quantity || 1);
+
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw createError(400, 'Quantity must be a positive whole number');
+    }
+
+    const session = await mongoose.startSession();
+
+    try {
+      let order;
+      let listing;
+      await session.withTransaction(async () => {
+        const product = await Product.findById(productId).session(session);
+
+        if (!product) {
+          throw createError(404, 'Product not found');
+        }
+
+        if (product.createdBy.toString() === buyerId.toString()) {
+          throw createError(403, 'You cannot order your own product');
+        }
+
+        if (product.status !== 'active' || product.moderation?.hidden) {
+          throw createError(409, 'Product is not available');
+        }
+
+        // Decrement only if enough stock is left, so concurrent orders can't oversell
+        const reserved = await Product.findOneAndUpdate(
+          { _id: product._id, status: 'active', 'inventory.quantity': { $gte: quantity } },
+          { $inc: { 'inventory.quantity': -quantity }, $set: { updatedAt: new Date() } },
+          { new: true, session }
+        );
+
+        if (!reserved) {
+          throw createError(409, 'Not enough inventory available');
+        }
+
+        if (reserved.inventory.quantity === 0) {
+          await Product.updateOne({ _id: product._id }, { $set: { status: 'reserved' } }, { session });
+          reserved.status = 'reserved';
+        }
+        listing = reserved;
+
+        const shippingCost = product.shipping?.freeShipping ? 0 : (product.shipping?.shippingCost || 0);
+
+        [order] = await Order.create([{
+          product: product._id,
+          buyer: buyerId,
+          seller: product.createdBy,
+          quantity,
+          unitPrice: product.price,
+          shippingCost,
+          totalPrice: product.price * quantity + shippingCost,
+          note,
+          statusHistory: [{ status: 'pending', changedBy: buyerId }]
+        }], { session });
+      });
+
+      realtimeService.publishProductEvent(
+        listing.status === 'reserved' ? 'product.reserved' : 'product.updated',
+        listing
+      );
+      realtimeService.notifyUser(order.seller, 'order.created', order);
+      notificationService.dispatch(order.seller, 'order.created', {
+        title: 'New order',
+        body: `${order.quantity} x ${listing.name} for $${order.totalPrice}.`,
+        path: `/orders/${order._id}`,
+        data: { orderId: order._id, productId: listing._id }
+      });
+      productService.checkLowStock(listing.inventory.quantity + quantity, listing);
+
+      return order;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  // Snapshot of the fields favorite alerts compare before and after a change
+  snapshotListing(product) {
+    return { price: product.price, status: product.status, inventory: { quantity: product.inventory.quantity } };
+  }
+
+  // Move an order to a new status, adjusting inventory, product status and seller stats
+  async updateOrderStatus(orderId, status, user, reason) {
+    const session = await mongoose.startSession();
+
+    try {
+      let order;
+      let productEvent;
+      let previousListing;
+      await session.withTransaction(async () => {
+        productEvent = null;
+        previousListing = null;
+        order = await Order.findById(orderId).session(session);
+
+        if (!order) {
+          throw createError(404, 'Order not found');
+        }
+
+        const participant = this.getParticipantRole(order, user);
+        if (!participant) {
+          throw createError(403, 'You do not have access to this order');
+        }
+
+        if (participant !== 'admin' && !STATUS_ACTORS[status].includes(participant)) {
+          throw createError(403, `Only the ${STATUS_ACTORS[status].join(' or ')} can mark an order ${status}`);
+        }
+
+        if (!order.canTransitionTo(status)) {
+          throw createError(409, `Cannot change order from ${order.status} to ${status}`);
+        }
+
+        if (status === 'declined' || status === 'cancelled') {
+          // Release the reserved stock back to the listing
+          const product = await Product.findById(order.product).session(session);
+          if (product) previousListing = this.snapshotListing(product);
+
+          await Product.updateOne(
+            { _id: order.product },
+            { $inc: { 'inventory.quantity': order.quantity }, $set: { updatedAt: new Date() } },
+            { session }
+          );
+          await Product.updateOne(
+            { _id: order.product, status: 'reserved' },
+            { $set: { status: 'active' } },
+            { session }
+          );
+          productEvent = 'product.updated';
+        }
+
+        if (status === 'fulfilled') {
+          await User.updateOne(
+            { _id: order.seller },
+            { $inc: { 'stats.productsSold': order.quantity, 'stats.totalRevenue': order.totalPrice } },
+            { session }
+          );
+
+          // The listing is sold once its stock is gone and no other order still holds any
+          const product = await Product.findById(order.product).session(session);
+          const otherOpenOrders = await Order.countDocuments({
+            _id: { $ne: order._id },
+            product: order.product,
+            status: { $in: Order.OPEN_STATUSES }
+          }).session(session);
+
+          if (product && product.inventory.quantity === 0 && otherOpenOrders === 0) {
+            previousListing = this.snapshotListing(product);
+            await Product.updateOne(
+              { _id: product._id },
+              { $set: { status: 'sold', updatedAt: new Date() } },
+              { session }
+            );
+            productEvent = 'product.sold';
+          }
+        }
+
+        order.status = status;
+        order.statusHistory.push({ status, changedBy: user.id, reason });
+        await order.save({ session });
+      });
+
+      if (productEvent) {
+        const product = await Product.findById(order.product);
+        if (product) {
+          realtimeService.publishProductEvent(productEvent, product);
+          if (previousListing) favoriteService.watchProductChange(previousListing, product);
+        }
+      }
+      realtimeService.notifyUser(order.buyer, 'order.updated', order);
+      realtimeService.notifyUser(order.seller, 'order.updated', order);
+
+      // The party who made the change already knows about it
+      [order.buyer, order.seller]
+        .filter(participant => participant.toString() !== user.id.toString())
+        .forEach(participant => notificationService.dispatch(participant, 'order.updated', {
+          title: `Order ${status}`,
+          body: reason ? `Your order was ${status}: ${reason}` : `Your order was ${status}.`,
+          path: `/orders/${order._id}`,
+          data: { orderId: order._id, status }
+        }));
+
+      return order;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  // Get a single order visible to the user
+  async getOrderById(orderId, user) {
+    const order = await Order.findById(orderId)
+      .populate('product', 'name price images status')
+      .populate('buyer', 'name profile.avatar')
+      .populate('seller', 'name profile.avatar');
+
+    if (!order) {
+      throw createError(404, 'Order not found');
+    }
+
+    if (!this.getParticipantRole(order, user)) {
+      throw createError(403, 'You do not have access to this order');
+    }
+
+    return order;
+  }
+
+  // List orders the user placed or received
+  async getOrdersForUser(userId, options = {}) {
+    const { role = 'buyer', status, page = 1, limit = 20 } = options;
+
+    const query = role === 'seller' ? { seller: userId } : { buyer: userId };
+    if (status) query.status = status;
+
+    const orders = await Order.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('product', 'name price images status')
+      .populate(role === 'seller' ? 'buyer' : 'seller', 'name profile.avatar');
+
+    const total = await Order.countDocuments(query);
+
+    return {
+      orders,
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+}
+
+module.exports = new OrderService();
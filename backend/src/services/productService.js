@@ -1,111 +1,534 @@
 const Product = require('../models/Product');
+const Order = require('../models/Order');
 const User = require('../models/User');
+const Favorite = require('../models/Favorite');
+const ProductStat = require('../models/ProductStat');
+const realtimeService = require('./realtimeService');
+const imageService = require('./imageService');
+const savedSearchService = require('./savedSearchService');
+const favoriteService = require('./favoriteService');
+const notificationService = require('./notificationService');
+const { createError, toFiniteNumber } = require('../utils/helpers');
+const { PRODUCT_SORT_FIELDS, MAX_PAGE, MAX_LIMIT } = require('../utils/validation');
+const { toWords, buildQueryTokens, scoreTerm } = require('../utils/suggest');
+
+// Roles allowed to manage listings they don't own
+const OVERRIDE_ROLES = ['admin', 'moderator'];
+
+const MAX_IMAGES_PER_PRODUCT = 12;
+
+// Seller fields safe to show next to a listing; never credentials, contact details or security data
+const SELLER_PUBLIC_PROJECTION = {
+  name: 1,
+  'profile.avatar': 1,
+  'location.city': 1,
+  'location.state': 1,
+  'stats.rating': 1,
+  'stats.reviewCount': 1,
+  'stats.memberSince': 1
+};
+
+// Fields search results add on top of the stored product
+const SEARCH_COMPUTED_FIELDS = {
+  discountPercentage: {
+    $cond: {
+      if: { $and: [{ $ne: ['$originalPrice', null] }, { $lt: ['$price', '$originalPrice'] }] },
+      then: { $multiply: [{ $divide: [{ $subtract: ['$originalPrice', '$price'] }, '$originalPrice'] }, 100] },
+      else: 0
+    }
+  },
+  stockStatus: {
+    $cond: {
+      if: { $eq: ['$inventory.quantity', 0] },
+      then: 'out-of-stock',
+      else: {
+        $cond: {
+          if: { $lte: ['$inventory.quantity', '$inventory.lowStockThreshold'] },
+          then: 'low-stock',
+          else: 'in-stock'
+        }
+      }
+    }
+  }
+};
+
+// Lower bounds of the price facet buckets; the last bucket is open-ended
+const PRICE_BUCKETS = [0, 25, 50, 100, 250, 500, 1000];
+const MAX_BRAND_FACETS = 20;
+
+// Facet counts computed alongside each search page
+const countBy = (field, limit) => [
+  { $match: { [field]: { $nin: [null, ''] } } },
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  ...(limit ? [{ $limit: limit }] : [])
+];
+
+const SEARCH_FACETS = {
+  category: countBy('category'),
+  condition: countBy('condition'),
+  brand: countBy('brand', MAX_BRAND_FACETS),
+  stockStatus: countBy('stockStatus'),
+  price: [
+    {
+      $bucket: {
+        groupBy: '$price',
+        boundaries: [...PRICE_BUCKETS, Infinity],
+        output: { count: { $sum: 1 } }
+      }
+    }
+  ]
+};
+
+// Radius (km) for location searches when neither the request nor the user's preferences set one
+const DEFAULT_SEARCH_RADIUS_KM = 50;
+// Same sphere $geoNear and $centerSphere use, so computed and indexed distances agree
+const EARTH_RADIUS_KM = 6378.1;
+
+// Great-circle distance (km) from lat/lng to a listing, for text searches: $text has to be
+// matched in the first stage, so those can't go through $geoNear
+const distanceKmExpression = (lat, lng) => {
+  const squaredSineOfHalf = (degrees) => ({ $pow: [{ $sin: { $divide: [{ $degreesToRadians: degrees }, 2] } }, 2] });
+  return {
+    $multiply: [2 * EARTH_RADIUS_KM, {
+      $asin: {
+        $sqrt: {
+          $min: [1, {
+            $add: [
+              squaredSineOfHalf({ $subtract: ['$location.lat', lat] }),
+              {
+                $multiply: [
+                  Math.cos(lat * Math.PI / 180),
+                  { $cos: { $degreesToRadians: '$location.lat' } },
+                  squaredSineOfHalf({ $subtract: ['$location.lng', lng] })
+                ]
+              }
+            ]
+          }]
+        }
+      }
+    }]
+  };
+};
+
+// Listings fetched by token overlap before suggestions are scored and ranked in memory
+const MAX_SUGGEST_CANDIDATES = 200;
+
+const DAY_MS = 86400000;
+
+// Trending: activity in the window counts, halving in weight every half-life
+const TRENDING_WINDOW_DAYS = 14;
+const TRENDING_HALF_LIFE_DAYS = 3;
+const TRENDING_WEIGHTS = { view: 1, favorite: 3, order: 5 };
+const MAX_TRENDING_CANDIDATES = 200;
+
+// Similar products: points per matching attribute. Price and distance earn their full weight
+// when equal, falling to nothing once prices differ by 100% or SIMILAR_DISTANCE_KM away.
+const SIMILARITY_WEIGHTS = { category: 3, subcategory: 2, brand: 2, tag: 1, price: 2, distance: 2 };
+const MAX_SHARED_TAGS = 3;
+const SIMILAR_DISTANCE_KM = 100;
+
+const ANALYTICS_INTERVALS = ['day', 'week', 'month'];
+const DEFAULT_ANALYTICS_DAYS = 30;
+// Longest from-to span per interval, in days, so the zero-filled series stays small
+const MAX_ANALYTICS_DAYS = { day: 366, week: 366 * 5, month: 366 * 10 };
+
+const EMPTY_ANALYTICS_TOTALS = {
+  listingsCreated: 0,
+  averagePrice: null,
+  itemsSold: 0,
+  ordersFulfilled: 0,
+  revenue: 0
+};
+
+// Start of the UTC day, Monday-based week or month containing date (matches $dateTrunc)
+const truncateDate = (date, interval) => {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (interval === 'week') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  } else if (interval === 'month') {
+    start.setUTCDate(1);
+  }
+  return start;
+};
+
+const nextPeriod = (date, interval) => {
+  const next = new Date(date);
+  if (interval === 'month') {
+    next.setUTCMonth(next.getUTCMonth() + 1);
+  } else {
+    next.setUTCDate(next.getUTCDate() + (interval === 'week' ? 7 : 1));
+  }
+  return next;
+};
+
+// One entry per period in the range, with empty periods filled in with zeros
+const buildAnalyticsSeries = (from, to, interval, listingBuckets, salesBuckets) => {
+  const buckets = new Map();
+  [...listingBuckets, ...salesBuckets].forEach(({ _id, ...totals }) => {
+    const key = _id.toISOString();
+    buckets.set(key, { ...(buckets.get(key) || {}), ...totals });
+  });
+
+  const series = [];
+  for (let period = truncateDate(from, interval); period <= to; period = nextPeriod(period, interval)) {
+    series.push({ period, ...EMPTY_ANALYTICS_TOTALS, ...(buckets.get(period.toISOString()) || {}) });
+  }
+  return series;
+};
+
+// Combine listing and sales groups keyed by the same field, largest revenue first
+const mergeAnalyticsBreakdown = (field, listingGroups, salesGroups) => {
+  const groups = new Map();
+  [...listingGroups, ...salesGroups].forEach(({ _id, ...totals }) => {
+    const key = _id === null || _id === undefined ? null : _id;
+    groups.set(key, { ...(groups.get(key) || { [field]: key, ...EMPTY_ANALYTICS_TOTALS }), ...totals });
+  });
+  return [...groups.values()].sort((a, b) => b.revenue - a.revenue || b.listingsCreated - a.listingsCreated);
+};
+
+// Keep the seller's primary choice, falling back to the first image; exactly one is primary
+const normalizePrimaryImage = (images) => {
+  const primaryIndex = Math.max(images.findIndex(image => image.isPrimary), 0);
+  return images.map((image, index) => ({ ...image, isPrimary: index === primaryIndex }));
+};
+
+// Storage keys are only ever set by the upload pipeline, never by clients
+const stripStorageKeys = (images) => images.map(({ storageKeys, ...image }) => image);
 
 class ProductService {
-  // Advanced search with filters and pagination
+  // Check whether a user may modify a product (owner, or admin/moderator override)
+  canManageProduct(product, user) {
+    if (!user) return false;
+    const ownerId = (product.createdBy._id || product.createdBy).toString();
+    return ownerId === user.id.toString() || OVERRIDE_ROLES.includes(user.role);
+  }
+
+  // Tell the seller when a listing's stock falls to or below its low-stock threshold, or runs out
+  checkLowStock(previousQuantity, product) {
+    const { quantity, lowStockThreshold, sku } = product.inventory;
+    const outOfStock = quantity === 0 && previousQuantity > 0;
+    const lowStock = quantity <= lowStockThreshold && previousQuantity > lowStockThreshold;
+    if (!outOfStock && !lowStock) return;
+
+    notificationService.dispatch(product.createdBy._id || product.createdBy, outOfStock ? 'inventory.outOfStock' : 'inventory.lowStock', {
+      title: outOfStock ? 'Out of stock' : 'Low stock',
+      body: outOfStock
+        ? `${product.name} (${sku}) is out of stock.`
+        : `${product.name} (${sku}) has ${quantity} left in stock.`,
+      path: `/products/${product._id}`,
+      data: { productId: product._id, sku, quantity }
+    });
+  }
+
+  // After a quantity change, pause an active listing that ran out when the seller opted in
+  // (preferences.autoDeactivateOutOfStock), reactivate it once restocked, and send stock alerts
+  async applyStockRules(previousQuantity, product) {
+    const { quantity } = product.inventory;
+    if (quantity === previousQuantity) return product;
+
+    let update = null;
+    if (quantity === 0 && product.status === 'active') {
+      const seller = await User.findById(product.createdBy._id || product.createdBy)
+        .select('preferences.autoDeactivateOutOfStock');
+      if (seller?.preferences?.autoDeactivateOutOfStock) {
+        update = { status: 'inactive', 'inventory.autoDeactivated': true };
+      }
+    } else if (quantity > 0 && product.status === 'inactive' && product.inventory.autoDeactivated) {
+      update = { status: 'active', 'inventory.autoDeactivated': false };
+    }
+
+    if (update) {
+      await Product.updateOne({ _id: product._id }, { $set: { ...update, updatedAt: new Date() } });
+      product.status = update.status;
+      product.inventory.autoDeactivated = update['inventory.autoDeactivated'];
+    }
+
+    this.checkLowStock(previousQuantity, product);
+    return product;
+  }
+
+  // Seller inventory overview: stock counts plus the SKUs that are low or out of stock
+  async getInventoryDashboard(userId) {
+    const products = await Product.find({ createdBy: userId, status: { $ne: 'sold' } })
+      .select('name status images inventory price updatedAt')
+      .sort({ 'inventory.quantity': 1, updatedAt: -1 })
+      .lean();
+
+    const summary = { total: products.length, inStock: 0, lowStock: 0, outOfStock: 0, units: 0 };
+    const lowStock = [];
+    const outOfStock = [];
+
+    products.forEach(product => {
+      const { quantity, lowStockThreshold, sku, autoDeactivated } = product.inventory;
+      const primaryImage = (product.images || []).find(image => image.isPrimary) || product.images?.[0];
+      const entry = {
+        _id: product._id,
+        name: product.name,
+        sku,
+        quantity,
+        lowStockThreshold,
+        status: product.status,
+        autoDeactivated: !!autoDeactivated,
+        price: product.price,
+        thumbnailUrl: primaryImage?.thumbnailUrl || primaryImage?.url,
+        updatedAt: product.updatedAt
+      };
+
+      summary.units += quantity;
+      if (quantity === 0) {
+        summary.outOfStock += 1;
+        outOfStock.push(entry);
+      } else if (quantity <= lowStockThreshold) {
+        summary.lowStock += 1;
+        lowStock.push(entry);
+      } else {
+        summary.inStock += 1;
+      }
+    });
+
+    return { summary, lowStock, outOfStock };
+  }
+
+  // Advanced search with filters, pagination and facet counts for the current filter
   async searchProducts(filters, options = {}) {
     const {
       page = 1,
       limit = 20,
       sortBy = 'createdAt',
-      sortOrder = 'desc',
+      sortOrder,
       populate = false
     } = options;
 
     // Build search query using the model's advanced search method
     const searchQuery = Product.advancedSearch(filters);
-    
-    // Build aggregation pipeline
-    const pipeline = [
-      { $match: searchQuery },
-      {
-        $addFields: {
-          discountPercentage: {
-            $cond: {
-              if: { $and: [{ $ne: ['$originalPrice', null] }, { $lt: ['$price', '$originalPrice'] }] },
-              then: { $multiply: [{ $divide: [{ $subtract: ['$originalPrice', '$price'] }, '$originalPrice'] }, 100] },
-              else: 0
-            }
-          },
-          stockStatus: {
-            $cond: {
-              if: { $eq: ['$inventory.quantity', 0] },
-              then: 'out-of-stock',
-              else: {
-                $cond: {
-                  if: { $lte: ['$inventory.quantity', '$inventory.lowStockThreshold'] },
-                  then: 'low-stock',
-                  else: 'in-stock'
-                }
-              }
-            }
-          }
-        }
-      }
-    ];
+    const pageNumber = Math.min(Math.max(Math.trunc(Number(page)) || 1, 1), MAX_PAGE);
+    const pageSize = Math.min(Math.max(Math.trunc(Number(limit)) || 20, 1), MAX_LIMIT);
 
-    // Add sorting
-    const sortField = sortBy === 'relevance' && filters.text ? 
-      { score: { $meta: 'textScore' } } : 
-      { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
-    pipeline.push({ $sort: sortField });
+    const lat = toFiniteNumber(filters.location?.lat);
+    const lng = toFiniteNumber(filters.location?.lng);
+    const radius = toFiniteNumber(filters.radius);
+    const hasOrigin = lat !== undefined && lng !== undefined;
 
-    // Add pagination
-    const skip = (page - 1) * limit;
-    pipeline.push({ $skip: skip }, { $limit: limit });
+    // Sort on whitelisted fields only; relevance needs a text query and distance a location.
+    // Distance defaults to nearest first, everything else to descending.
+    const sortable = PRODUCT_SORT_FIELDS.includes(sortBy) && sortBy !== 'relevance' && (sortBy !== 'distance' || hasOrigin);
+    const sortKey = sortable ? (sortBy === 'distance' ? 'distanceKm' : sortBy) : 'createdAt';
+    const ascending = sortOrder ? sortOrder === 'asc' : sortKey === 'distanceKm';
+    const sortField = sortBy === 'relevance' && searchQuery.$text ?
+      { score: -1 } :
+      { [sortKey]: ascending ? 1 : -1, _id: 1 };
 
-    // Add population if requested
-    if (populate) {
-      pipeline.push({
-        $lookup: {
-          from: 'users',
-          localField: 'createdBy',
-          foreignField: '_id',
-          as: 'seller'
-        }
-      });
-      pipeline.push({
-        $addFields: {
-          seller: { $arrayElemAt: ['$seller', 0] }
+    // With a location, every result carries distanceKm. $geoNear filters by radius and measures
+    // distance off the 2dsphere index; text searches keep the radius filter and compute it instead.
+    let matchStages;
+    if (hasOrigin && !searchQuery.$text) {
+      const { 'location.point': withinRadius, ...query } = searchQuery;
+      matchStages = [{
+        $geoNear: {
+          near: { type: 'Point', coordinates: [lng, lat] },
+          key: 'location.point',
+          distanceField: 'distanceKm',
+          distanceMultiplier: 0.001,
+          ...(radius !== undefined && { maxDistance: radius * 1000 }),
+          query,
+          spherical: true
         }
-      });
+      }];
+    } else {
+      matchStages = [
+        { $match: searchQuery },
+        ...(searchQuery.$text ? [{ $addFields: { score: { $meta: 'textScore' } } }] : []),
+        ...(hasOrigin ? [{ $addFields: { distanceKm: distanceKmExpression(lat, lng) } }] : [])
+      ];
     }
 
-    // Execute search
-    const products = await Product.aggregate(pipeline);
+    // The page is its own pipeline so the sort can use an index and only the page is shaped.
+    // Only discountPercentage has to be computed before sorting.
+    const pageStages = [
+      ...matchStages,
+      ...(sortKey === 'discountPercentage' ? [{ $addFields: SEARCH_COMPUTED_FIELDS }] : []),
+      { $sort: sortField },
+      { $skip: (pageNumber - 1) * pageSize },
+      { $limit: pageSize },
+      { $addFields: SEARCH_COMPUTED_FIELDS },
+      { $project: { 'images.storageKeys': 0, suggestTokens: 0 } }
+    ];
+
+    // Seller details are limited to public profile fields
+    if (populate) {
+      pageStages.push(
+        {
+          $lookup: {
+            from: 'users',
+            localField: 'createdBy',
+            foreignField: '_id',
+            pipeline: [{ $project: SELLER_PUBLIC_PROJECTION }],
+            as: 'seller'
+          }
+        },
+        { $addFields: { seller: { $arrayElemAt: ['$seller', 0] } } }
+      );
+    }
 
-    // Get total count for pagination
-    const countPipeline = [
-      { $match: searchQuery },
-      { $count: 'total' }
+    // Total and facet counts only group, so they go over the match without sorting it
+    const countStages = [
+      ...matchStages,
+      { $addFields: { stockStatus: SEARCH_COMPUTED_FIELDS.stockStatus } },
+      {
+        $facet: {
+          total: [{ $count: 'count' }],
+          ...SEARCH_FACETS
+        }
+      }
     ];
-    const countResult = await Product.aggregate(countPipeline);
-    const total = countResult[0]?.total || 0;
+
+    const [pageResults, [result]] = await Promise.all([
+      Product.aggregate(pageStages).allowDiskUse(true),
+      Product.aggregate(countStages).allowDiskUse(true)
+    ]);
+
+    const total = result.total[0]?.count || 0;
+    const toCounts = (buckets) => buckets.map(({ _id, count }) => ({ value: _id, count }));
+
+    const products = hasOrigin ?
+      pageResults.map(product => ({ ...product, distanceKm: Math.round(product.distanceKm * 100) / 100 })) :
+      pageResults;
 
     return {
       products,
       pagination: {
-        page: Number(page),
-        limit: Number(limit),
+        page: pageNumber,
+        limit: pageSize,
         total,
-        pages: Math.ceil(total / limit)
+        pages: Math.ceil(total / pageSize)
+      },
+      facets: {
+        category: toCounts(result.category),
+        condition: toCounts(result.condition),
+        brand: toCounts(result.brand),
+        price: result.price.map(({ _id, count }) => {
+          const index = PRICE_BUCKETS.indexOf(_id);
+          return { min: _id, max: index >= 0 && index < PRICE_BUCKETS.length - 1 ? PRICE_BUCKETS[index + 1] : null, count };
+        }),
+        stockStatus: toCounts(result.stockStatus)
       },
       filters
     };
   }
 
+  // Ranked completions for a partial, possibly misspelt query, drawn from active listings'
+  // names, brands, tags and categories. Each suggestion counts the candidate listings using it.
+  async getSuggestions(q, { limit = 10 } = {}) {
+    const queryWords = toWords(q);
+    if (queryWords.length === 0) return [];
+
+    const tokens = buildQueryTokens(queryWords);
+    const candidates = await Product.aggregate([
+      { $match: { ...Product.VISIBLE, status: 'active', suggestTokens: { $in: tokens } } },
+      {
+        $project: {
+          name: 1,
+          brand: 1,
+          tags: 1,
+          category: 1,
+          favoriteCount: 1,
+          overlap: { $size: { $setIntersection: ['$suggestTokens', tokens] } }
+        }
+      },
+      { $sort: { overlap: -1, favoriteCount: -1, _id: 1 } },
+      { $limit: MAX_SUGGEST_CANDIDATES }
+    ]);
+
+    const terms = new Map();
+    candidates.forEach(product => {
+      const entries = [
+        ['product', product.name],
+        ['brand', product.brand],
+        ['category', product.category],
+        ...(product.tags || []).map(tag => ['tag', tag])
+      ];
+
+      entries.forEach(([type, text]) => {
+        if (!text) return;
+        const key = `${type}:${toWords(text).join(' ')}`;
+        const term = terms.get(key);
+        if (term) {
+          term.count += 1;
+          return;
+        }
+        terms.set(key, { text, type, score: scoreTerm(queryWords, text), count: 1 });
+      });
+    });
+
+    return [...terms.values()]
+      .filter(term => term.score > 0)
+      .sort((a, b) => b.score - a.score || b.count - a.count || a.text.length - b.text.length)
+      .slice(0, limit)
+      .map(({ text, type, count }) => ({ text, type, count }));
+  }
+
+  // Get a product for display; hidden listings are only shown to their seller and staff
+  async getProductForViewer(id, user) {
+    const product = await this.getProductById(id, true);
+
+    if (product.moderation?.hidden && !this.canManageProduct(product, user)) {
+      throw createError(404, 'Product not found');
+    }
+
+    return product;
+  }
+
+  // Latest listings, or with lat/lng the ones within radius km sorted nearest first with distanceKm
+  async listProducts({ lat, lng, radius, limit = 50, populate = false } = {}) {
+    let products;
+
+    if (lat !== undefined && lng !== undefined) {
+      products = await Product.aggregate([
+        {
+          $geoNear: {
+            near: { type: 'Point', coordinates: [Number(lng), Number(lat)] },
+            key: 'location.point',
+            distanceField: 'distanceKm',
+            distanceMultiplier: 0.001,
+            ...(radius !== undefined && { maxDistance: Number(radius) * 1000 }),
+            query: Product.VISIBLE,
+            spherical: true
+          }
+        },
+        { $limit: Number(limit) },
+        { $project: { 'images.storageKeys': 0, suggestTokens: 0 } }
+      ]);
+      products.forEach(product => {
+        product.distanceKm = Math.round(product.distanceKm * 100) / 100;
+      });
+    } else {
+      products = await Product.find(Product.VISIBLE).limit(Number(limit)).lean();
+    }
+
+    if (populate) {
+      await Product.populate(products, { path: 'createdBy', select: Object.keys(SELLER_PUBLIC_PROJECTION).join(' ') });
+    }
+    return products;
+  }
+
+  // Radius (km) to search within when the request doesn't give one: the user's preference, else the default
+  getDefaultSearchRadius(user) {
+    return user?.preferences?.searchRadius || DEFAULT_SEARCH_RADIUS_KM;
+  }
+
   // Get product by ID with population
   async getProductById(id, populate = false) {
     let query = Product.findById(id);
     
     if (populate) {
-      query = query.populate('createdBy', 'name email profile.avatar stats.rating');
+      query = query.populate('createdBy', Object.keys(SELLER_PUBLIC_PROJECTION).join(' '));
     }
     
     const product = await query.exec();
     
     if (!product) {
-      throw new Error('Product not found');
+      throw createError(404, 'Product not found');
     }
     
     return product;
@@ -117,7 +540,7 @@ class ProductService {
     const requiredFields = ['name', 'price', 'category', 'location'];
     for (const field of requiredFields) {
       if (!productData[field]) {
-        throw new Error(`${field} is required`);
+        throw createError(400, `${field} is required`);
       }
     }
 
@@ -131,10 +554,7 @@ class ProductService {
 
     // Set primary image if images are provided
     if (productData.images && productData.images.length > 0) {
-      productData.images = productData.images.map((image, index) => ({
-        ...image,
-        isPrimary: index === 0
-      }));
+      productData.images = normalizePrimaryImage(stripStorageKeys(productData.images));
     }
 
     const product = new Product({
@@ -149,24 +569,55 @@ class ProductService {
       $inc: { 'stats.productsListed': 1 }
     });
 
+    realtimeService.publishProductEvent('product.created', product);
+
+    // Alerts run in the background; a failure there shouldn't fail the listing
+    savedSearchService.alertMatches(product, 'new').catch(error => {
+      console.error('Saved search alerts failed:', error);
+    });
+
     return product;
   }
 
   // Update product with validation
-  async updateProduct(id, updateData, userId) {
-    const product = await Product.findById(id);
+  async updateProduct(id, updateData, user) {
+    const product = await Product.findById(id).select('+images.storageKeys');
     
     if (!product) {
-      throw new Error('Product not found');
+      throw createError(404, 'Product not found');
     }
 
     // Check if user has permission to update
-    if (product.createdBy.toString() !== userId) {
-      throw new Error('You can only update your own products');
+    if (!this.canManageProduct(product, user)) {
+      throw createError(403, 'You can only update your own products');
     }
 
     // Remove fields that shouldn't be updated
-    const { createdBy, createdAt, ...allowedUpdates } = updateData;
+    const { _id, createdBy, createdAt, ratings, favoriteCount, moderation, ...allowedUpdates } = updateData;
+
+    // Replacing the image list keeps uploaded files for retained images and removes the rest
+    let removedKeys = [];
+    if (Array.isArray(allowedUpdates.images)) {
+      const existing = new Map(product.images.map(image => [image._id.toString(), image]));
+      allowedUpdates.images = normalizePrimaryImage(stripStorageKeys(allowedUpdates.images)).map(image => {
+        const current = image._id && existing.get(image._id.toString());
+        return current ? { ...image, storageKeys: current.storageKeys } : image;
+      });
+
+      const retainedIds = new Set(allowedUpdates.images.map(image => image._id && image._id.toString()));
+      removedKeys = product.images
+        .filter(image => !retainedIds.has(image._id.toString()))
+        .flatMap(image => image.storageKeys || []);
+    }
+
+    // A status the seller picks by hand replaces any automatic out-of-stock pause
+    if (allowedUpdates.status !== undefined) {
+      if (allowedUpdates.inventory) {
+        allowedUpdates.inventory = { ...allowedUpdates.inventory, autoDeactivated: false };
+      } else {
+        allowedUpdates['inventory.autoDeactivated'] = false;
+      }
+    }
 
     const updatedProduct = await Product.findByIdAndUpdate(
       id,
@@ -174,80 +625,312 @@ class ProductService {
       { new: true, runValidators: true }
     );
 
+    await imageService.removeFiles(removedKeys);
+
+    if (updatedProduct.price < product.price) {
+      savedSearchService.alertMatches(updatedProduct, 'price-drop').catch(error => {
+        console.error('Saved search alerts failed:', error);
+      });
+    }
+
+    await this.applyStockRules(product.inventory.quantity, updatedProduct);
+    favoriteService.watchProductChange(product, updatedProduct);
+
+    const statusEvent = updatedProduct.status !== product.status && ['reserved', 'sold'].includes(updatedProduct.status);
+    realtimeService.publishProductEvent(statusEvent ? `product.${updatedProduct.status}` : 'product.updated', updatedProduct);
+
     return updatedProduct;
   }
 
   // Delete product with validation
-  async deleteProduct(id, userId) {
-    const product = await Product.findById(id);
+  async deleteProduct(id, user) {
+    const product = await Product.findById(id).select('+images.storageKeys');
     
     if (!product) {
-      throw new Error('Product not found');
+      throw createError(404, 'Product not found');
     }
 
     // Check if user has permission to delete
-    if (product.createdBy.toString() !== userId) {
-      throw new Error('You can only delete your own products');
+    if (!this.canManageProduct(product, user)) {
+      throw createError(403, 'You can only delete your own products');
     }
 
     await Product.findByIdAndDelete(id);
+    await favoriteService.removeProductFavorites(product._id);
+    await imageService.removeFiles(product.images.flatMap(image => image.storageKeys || []));
 
-    // Update user stats
-    await User.findByIdAndUpdate(userId, {
+    // Update the owner's stats, which may not be the caller on an override
+    await User.findByIdAndUpdate(product.createdBy, {
       $inc: { 'stats.productsListed': -1 }
     });
 
+    realtimeService.publishProductEvent('product.deleted', product);
+
     return { message: 'Product deleted successfully' };
   }
 
-  // Get product analytics
-  async getProductAnalytics() {
-    const analytics = await Product.aggregate([
+  // Load a product the user may manage, including stored image keys
+  async getManageableProduct(id, user) {
+    const product = await Product.findById(id).select('+images.storageKeys');
+
+    if (!product) {
+      throw createError(404, 'Product not found');
+    }
+
+    if (!this.canManageProduct(product, user)) {
+      throw createError(403, 'You can only update your own products');
+    }
+
+    return product;
+  }
+
+  // Save image changes and push the update to realtime subscribers
+  async saveImages(product) {
+    await product.save();
+    realtimeService.publishProductEvent('product.updated', product);
+    return product.images.map(image => {
+      const { storageKeys, ...publicImage } = image.toObject();
+      return publicImage;
+    });
+  }
+
+  // Process uploaded photos and append them to the product
+  async addImages(id, files, user) {
+    const product = await this.getManageableProduct(id, user);
+
+    if (product.images.length + files.length > MAX_IMAGES_PER_PRODUCT) {
+      throw createError(400, `A product can have at most ${MAX_IMAGES_PER_PRODUCT} images`);
+    }
+
+    const uploaded = [];
+    try {
+      for (const file of files) {
+        uploaded.push(await imageService.processUpload(file, product._id));
+      }
+    } catch (error) {
+      await imageService.removeFiles(uploaded.flatMap(image => image.storageKeys));
+      throw error;
+    }
+
+    uploaded.forEach(image => product.images.push({ ...image, alt: product.name }));
+    if (!product.images.some(image => image.isPrimary)) {
+      product.images[0].isPrimary = true;
+    }
+
+    return this.saveImages(product);
+  }
+
+  // Reorder images; imageIds must list every image exactly once
+  async reorderImages(id, imageIds, user) {
+    const product = await this.getManageableProduct(id, user);
+
+    const current = new Map(product.images.map(image => [image._id.toString(), image]));
+    const requested = (imageIds || []).map(String);
+
+    if (requested.length !== current.size || new Set(requested).size !== requested.length ||
+      !requested.every(imageId => current.has(imageId))) {
+      throw createError(400, 'imageIds must list every image of the product exactly once');
+    }
+
+    product.images = requested.map(imageId => current.get(imageId));
+    return this.saveImages(product);
+  }
+
+  // Make one image the primary image
+  async setPrimaryImage(id, imageId, user) {
+    const product = await this.getManageableProduct(id, user);
+
+    if (!product.images.id(imageId)) {
+      throw createError(404, 'Image not found');
+    }
+
+    product.images.forEach(image => {
+      image.isPrimary = image._id.toString() === imageId;
+    });
+    return this.saveImages(product);
+  }
+
+  // Remove an image and its stored files
+  async removeImage(id, imageId, user) {
+    const product = await this.getManageableProduct(id, user);
+    const image = product.images.id(imageId);
+
+    if (!image) {
+      throw createError(404, 'Image not found');
+    }
+
+    const storageKeys = image.storageKeys || [];
+    const wasPrimary = image.isPrimary;
+    product.images.pull(image._id);
+
+    if (wasPrimary && product.images.length > 0) {
+      product.images[0].isPrimary = true;
+    }
+
+    const images = await this.saveImages(product);
+    await imageService.removeFiles(storageKeys);
+    return images;
+  }
+
+  // Admin analytics: a stock and catalogue snapshot plus time-bucketed series and
+  // category/city breakdowns for listings created and orders fulfilled in [from, to]
+  async getProductAnalytics(options = {}) {
+    const { interval = 'day', category, city } = options;
+
+    if (!ANALYTICS_INTERVALS.includes(interval)) {
+      throw createError(400, `interval must be one of ${ANALYTICS_INTERVALS.join(', ')}`);
+    }
+
+    const to = options.to ? new Date(options.to) : new Date();
+    const from = options.from ? new Date(options.from) : new Date(to.getTime() - DEFAULT_ANALYTICS_DAYS * DAY_MS);
+
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+      throw createError(400, 'from and to must be valid dates');
+    }
+    if (from > to) {
+      throw createError(400, 'from must be before to');
+    }
+    if (to.getTime() - from.getTime() > MAX_ANALYTICS_DAYS[interval] * DAY_MS) {
+      throw createError(400, `Ranges with interval ${interval} can span at most ${MAX_ANALYTICS_DAYS[interval]} days`);
+    }
+
+    const productFilter = {};
+    if (category) productFilter.category = category;
+    if (city) productFilter['location.city'] = city;
+
+    const period = { $dateTrunc: { date: '$createdAt', unit: interval, startOfWeek: 'monday' } };
+    const createdInRange = { ...productFilter, createdAt: { $gte: from, $lte: to } };
+    const listingTotals = {
+      listingsCreated: { $sum: 1 },
+      averagePrice: { $avg: '$price' }
+    };
+
+    const [productResult] = await Product.aggregate([
       {
         $facet: {
-          totalProducts: [{ $count: 'count' }],
-          activeProducts: [{ $match: { status: 'active' } }, { $count: 'count' }],
+          totalProducts: [{ $match: productFilter }, { $count: 'count' }],
+          activeProducts: [{ $match: { ...productFilter, status: 'active' } }, { $count: 'count' }],
+          // Sold listings are left out of the stock counts; they're gone, not out of stock
           lowStockProducts: [
-            { $match: { 'inventory.quantity': { $lte: '$inventory.lowStockThreshold' } } },
+            {
+              $match: {
+                ...productFilter,
+                status: { $ne: 'sold' },
+                'inventory.quantity': { $gt: 0 },
+                $expr: { $lte: ['$inventory.quantity', '$inventory.lowStockThreshold'] }
+              }
+            },
+            { $count: 'count' }
+          ],
+          outOfStockProducts: [
+            { $match: { ...productFilter, status: { $ne: 'sold' }, 'inventory.quantity': 0 } },
             { $count: 'count' }
           ],
-          outOfStockProducts: [{ $match: { 'inventory.quantity': 0 } }, { $count: 'count' }],
-          avgPrice: [{ $group: { _id: null, avg: { $avg: '$price' } } }],
+          avgPrice: [{ $match: productFilter }, { $group: { _id: null, avg: { $avg: '$price' } } }],
           priceRange: [
+            { $match: productFilter },
             { $group: { _id: null, min: { $min: '$price' }, max: { $max: '$price' } } }
           ],
           categoryDistribution: [
+            { $match: productFilter },
             { $group: { _id: '$category', count: { $sum: 1 } } },
             { $sort: { count: -1 } }
           ],
           topRatedProducts: [
-            { $match: { 'ratings.average': { $gte: 4 } } },
+            { $match: { ...productFilter, 'ratings.average': { $gte: 4 } } },
             { $sort: { 'ratings.average': -1 } },
             { $limit: 10 }
           ],
           recentProducts: [
+            { $match: productFilter },
             { $sort: { createdAt: -1 } },
             { $limit: 10 }
+          ],
+          listingSeries: [
+            { $match: createdInRange },
+            { $group: { _id: period, ...listingTotals } }
+          ],
+          listingsByCategory: [
+            { $match: createdInRange },
+            { $group: { _id: '$category', ...listingTotals } }
+          ],
+          listingsByCity: [
+            { $match: createdInRange },
+            { $group: { _id: { $ifNull: ['$location.city', null] }, ...listingTotals } }
           ]
         }
       }
     ]);
 
-    return analytics[0];
+    // Sales are dated by when the order was fulfilled, not when it was placed
+    const salesMatch = {};
+    if (category) salesMatch['product.category'] = category;
+    if (city) salesMatch['product.location.city'] = city;
+    const salesTotals = {
+      itemsSold: { $sum: '$quantity' },
+      ordersFulfilled: { $sum: 1 },
+      revenue: { $sum: '$totalPrice' }
+    };
+
+    const [salesResult] = await Order.aggregate([
+      { $match: { status: 'fulfilled' } },
+      { $unwind: '$statusHistory' },
+      { $match: { 'statusHistory.status': 'fulfilled', 'statusHistory.changedAt': { $gte: from, $lte: to } } },
+      {
+        $lookup: {
+          from: 'products',
+          localField: 'product',
+          foreignField: '_id',
+          pipeline: [{ $project: { category: 1, 'location.city': 1 } }],
+          as: 'product'
+        }
+      },
+      { $addFields: { product: { $arrayElemAt: ['$product', 0] } } },
+      { $match: salesMatch },
+      {
+        $facet: {
+          series: [
+            {
+              $group: {
+                _id: { $dateTrunc: { date: '$statusHistory.changedAt', unit: interval, startOfWeek: 'monday' } },
+                ...salesTotals
+              }
+            }
+          ],
+          byCategory: [{ $group: { _id: { $ifNull: ['$product.category', null] }, ...salesTotals } }],
+          byCity: [{ $group: { _id: { $ifNull: ['$product.location.city', null] }, ...salesTotals } }]
+        }
+      }
+    ]);
+
+    const {
+      listingSeries,
+      listingsByCategory,
+      listingsByCity,
+      ...snapshot
+    } = productResult;
+
+    return {
+      ...snapshot,
+      range: { from, to, interval },
+      series: buildAnalyticsSeries(from, to, interval, listingSeries, salesResult.series),
+      byCategory: mergeAnalyticsBreakdown('category', listingsByCategory, salesResult.byCategory),
+      byCity: mergeAnalyticsBreakdown('city', listingsByCity, salesResult.byCity)
+    };
   }
 
-  // Get products by user
+  // Get products by user; listings hidden by moderators only with includeHidden (owner and staff)
   async getProductsByUser(userId, options = {}) {
-    const { page = 1, limit = 20, status } = options;
+    const { page = 1, limit = 20, status, includeHidden = false } = options;
     
-    const query = { createdBy: userId };
+    const query = { createdBy: userId, ...(!includeHidden && Product.VISIBLE) };
     if (status) query.status = status;
 
     const products = await Product.find(query)
       .sort({ createdAt: -1 })
       .skip((page - 1) * limit)
       .limit(limit)
-      .populate('createdBy', 'name email');
+      .populate('createdBy', Object.keys(SELLER_PUBLIC_PROJECTION).join(' '));
 
     const total = await Product.countDocuments(query);
 
@@ -263,63 +946,150 @@ class ProductService {
   }
 
   // Update product inventory
-  async updateInventory(productId, quantity, userId) {
+  async updateInventory(productId, quantity, user) {
     const product = await Product.findById(productId);
     
     if (!product) {
-      throw new Error('Product not found');
+      throw createError(404, 'Product not found');
+    }
+
+    if (!this.canManageProduct(product, user)) {
+      throw createError(403, 'You can only update your own products');
     }
 
-    if (product.createdBy.toString() !== userId) {
-      throw new Error('You can only update your own products');
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      throw createError(400, 'Quantity must be a whole number of zero or more');
     }
 
+    const previous = { price: product.price, status: product.status, inventory: { quantity: product.inventory.quantity } };
     product.inventory.quantity = quantity;
     await product.save();
+    await this.applyStockRules(previous.inventory.quantity, product);
+
+    realtimeService.publishProductEvent('product.updated', product);
+    favoriteService.watchProductChange(previous, product);
 
     return product;
   }
 
-  // Get trending products
-  async getTrendingProducts(limit = 10) {
-    return await Product.aggregate([
-      { $match: { status: 'active' } },
-      {
-        $addFields: {
-          trendingScore: {
-            $add: [
-              { $multiply: ['$ratings.average', 10] },
-              { $multiply: ['$ratings.count', 2] },
-              { $divide: [{ $subtract: [new Date(), '$createdAt'] }, 86400000] }
-            ]
-          }
-        }
-      },
-      { $sort: { trendingScore: -1 } },
-      { $limit: limit }
+  // Trending listings: recent views, favorites and orders, each worth less the older it is.
+  // Topped up with the newest listings when too few have recent activity.
+  async getTrendingProducts({ limit = 10, category } = {}) {
+    const now = new Date();
+    const since = new Date(now.getTime() - TRENDING_WINDOW_DAYS * DAY_MS);
+
+    // Sum of weight * amount * 0.5^(age / half-life) per product
+    const decayedScore = (dateField, weight, amount = 1) => ({
+      $sum: {
+        $multiply: [weight, amount, {
+          $exp: { $multiply: [-Math.LN2 / (TRENDING_HALF_LIFE_DAYS * DAY_MS), { $subtract: [now, dateField] }] }
+        }]
+      }
+    });
+    const topCandidates = [{ $sort: { score: -1 } }, { $limit: MAX_TRENDING_CANDIDATES }];
+
+    const [views, favorites, orders] = await Promise.all([
+      ProductStat.aggregate([
+        { $match: { day: { $gte: truncateDate(since, 'day') } } },
+        { $group: { _id: '$product', score: decayedScore('$day', TRENDING_WEIGHTS.view, '$views') } },
+        ...topCandidates
+      ]),
+      Favorite.aggregate([
+        { $match: { createdAt: { $gte: since } } },
+        { $group: { _id: '$product', score: decayedScore('$createdAt', TRENDING_WEIGHTS.favorite) } },
+        ...topCandidates
+      ]),
+      Order.aggregate([
+        { $match: { createdAt: { $gte: since }, status: { $nin: ['declined', 'cancelled'] } } },
+        { $group: { _id: '$product', score: decayedScore('$createdAt', TRENDING_WEIGHTS.order, '$quantity') } },
+        ...topCandidates
+      ])
     ]);
+
+    const scores = new Map();
+    [...views, ...favorites, ...orders].forEach(({ _id, score }) => {
+      const key = _id.toString();
+      scores.set(key, (scores.get(key) || 0) + score);
+    });
+
+    const match = { ...Product.VISIBLE, status: 'active', ...(category && { category }) };
+    const trending = (await Product.find({ ...match, _id: { $in: [...scores.keys()] } }).lean())
+      .map(product => ({ ...product, trendingScore: Math.round(scores.get(product._id.toString()) * 100) / 100 }))
+      .sort((a, b) => b.trendingScore - a.trendingScore)
+      .slice(0, limit);
+
+    if (trending.length < limit) {
+      const fresh = await Product.find({ ...match, _id: { $nin: trending.map(product => product._id) } })
+        .sort({ createdAt: -1 })
+        .limit(limit - trending.length)
+        .lean();
+      trending.push(...fresh.map(product => ({ ...product, trendingScore: 0 })));
+    }
+
+    return trending;
   }
 
-  // Get similar products
-  async getSimilarProducts(productId, limit = 6) {
-    const product = await Product.findById(productId);
-    
+  // Listings like the given one, scored on category, subcategory, brand, shared tags,
+  // price proximity and distance; each result carries its similarity and distanceKm
+  async getSimilarProducts(productId, { limit = 6 } = {}) {
+    const product = await Product.findById(productId).lean();
+
     if (!product) {
-      throw new Error('Product not found');
+      throw createError(404, 'Product not found');
     }
 
-    return await Product.aggregate([
+    const tags = product.tags || [];
+    const sameAs = (field, weight) => (product[field] ?
+      { $cond: [{ $eq: [`$${field}`, product[field]] }, weight, 0] } :
+      0);
+    // 1 for an exact match, falling linearly to 0 at the given difference
+    const closeness = (difference, range) => ({ $max: [0, { $subtract: [1, { $divide: [difference, range] }] }] });
+
+    const similar = await Product.aggregate([
       {
         $match: {
+          ...Product.VISIBLE,
           _id: { $ne: product._id },
           status: 'active',
-          category: product.category,
-          'inventory.quantity': { $gt: 0 }
+          'inventory.quantity': { $gt: 0 },
+          $or: [
+            { category: product.category },
+            ...(product.brand ? [{ brand: product.brand }] : []),
+            ...(tags.length ? [{ tags: { $in: tags } }] : [])
+          ]
         }
       },
+      { $addFields: { distanceKm: distanceKmExpression(product.location.lat, product.location.lng) } },
+      {
+        $addFields: {
+          similarity: {
+            $add: [
+              sameAs('category', SIMILARITY_WEIGHTS.category),
+              sameAs('subcategory', SIMILARITY_WEIGHTS.subcategory),
+              sameAs('brand', SIMILARITY_WEIGHTS.brand),
+              {
+                $multiply: [SIMILARITY_WEIGHTS.tag, {
+                  $min: [MAX_SHARED_TAGS, { $size: { $setIntersection: [{ $ifNull: ['$tags', []] }, tags] } }]
+                }]
+              },
+              product.price > 0 ?
+                { $multiply: [SIMILARITY_WEIGHTS.price, closeness({ $abs: { $subtract: ['$price', product.price] } }, product.price)] } :
+                0,
+              { $multiply: [SIMILARITY_WEIGHTS.distance, closeness('$distanceKm', SIMILAR_DISTANCE_KM)] }
+            ]
+          }
+        }
+      },
+      { $sort: { similarity: -1, _id: 1 } },
       { $limit: limit },
-      { $sort: { 'ratings.average': -1 } }
+      { $project: { 'images.storageKeys': 0, suggestTokens: 0 } }
     ]);
+
+    return similar.map(item => ({
+      ...item,
+      similarity: Math.round(item.similarity * 100) / 100,
+      distanceKm: Math.round(item.distanceKm * 100) / 100
+    }));
   }
 }
 
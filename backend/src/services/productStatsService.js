@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const Product = require('../models/Product');
+const ProductStat = require('../models/ProductStat');
+const ProductViewMark = require('../models/ProductViewMark');
+const Favorite = require('../models/Favorite');
+const Conversation = require('../models/Conversation');
+const Order = require('../models/Order');
+const productService = require('./productService');
+const { createError } = require('../utils/helpers');
+
+const DAY_MS = 86400000;
+const DEFAULT_INSIGHTS_DAYS = 30;
+
+const startOfUtcDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+// numerator / denominator to four places, or null when there is nothing to divide by
+const rate = (numerator, denominator) => (denominator > 0 ? Math.round((numerator / denominator) * 10000) / 10000 : null);
+
+class ProductStatsService {
+  // Who is looking: the signed-in user, else an anonymous session from the client's
+  // X-Session-Id header, falling back to a hash of IP and user agent
+  viewerKey(req) {
+    if (req.user) return `user:${req.user.id}`;
+
+    const session = req.get('X-Session-Id') || `${req.ip}|${req.get('User-Agent') || ''}`;
+    return `session:${crypto.createHash('sha256').update(session).digest('hex').slice(0, 32)}`;
+  }
+
+  // Mark products as seen by a viewer today; returns the ids that weren't marked already
+  async markFirstSeen(kind, viewer, productIds, day) {
+    try {
+      await ProductViewMark.insertMany(
+        productIds.map(product => ({ product, kind, viewer, day })),
+        { ordered: false }
+      );
+      return productIds;
+    } catch (error) {
+      // Mongoose copies the driver's WriteErrors into plain objects, which keeps the server
+      // error under `err` but drops the `code` getter
+      const writeErrors = error.writeErrors || [];
+      const isDuplicate = (writeError) => (writeError.err?.code ?? writeError.code) === 11000;
+      if (writeErrors.length === 0 || !writeErrors.every(isDuplicate)) {
+        throw error;
+      }
+      const seen = new Set(writeErrors.map(writeError => writeError.index));
+      return productIds.filter((_, index) => !seen.has(index));
+    }
+  }
+
+  // Count a product detail view, once per viewer per day
+  async recordView(productId, viewer) {
+    const day = startOfUtcDay(new Date());
+    const [firstView] = await this.markFirstSeen('view', viewer, [productId], day);
+    if (!firstView) return;
+
+    await ProductStat.updateOne(
+      { product: productId, day },
+      { $inc: { views: 1 } },
+      { upsert: true }
+    );
+  }
+
+  // Count a page of search results as impressions at their positions (offset is the number
+  // of results on earlier pages), once per viewer per product per day
+  async recordImpressions(products, viewer, { offset = 0 } = {}) {
+    if (products.length === 0) return;
+
+    const day = startOfUtcDay(new Date());
+    const positions = new Map(products.map((product, index) => [product._id.toString(), offset + index + 1]));
+    const firstSeen = await this.markFirstSeen('impression', viewer, products.map(product => product._id), day);
+    if (firstSeen.length === 0) return;
+
+    await ProductStat.bulkWrite(firstSeen.map(productId => {
+      const position = positions.get(productId.toString());
+      return {
+        updateOne: {
+          filter: { product: productId, day },
+          update: { $inc: { impressions: 1, positionTotal: position }, $min: { bestPosition: position } },
+          upsert: true
+        }
+      };
+    }), { ordered: false });
+  }
+
+  // Seller-facing listing performance over the last `days` days: views, favorites, message
+  // starts and orders, conversion between them, search placement and a daily series
+  async getInsights(productId, user, { days = DEFAULT_INSIGHTS_DAYS } = {}) {
+    const product = await Product.findById(productId).select('name status createdBy favoriteCount');
+
+    if (!product) {
+      throw createError(404, 'Product not found');
+    }
+
+    if (!productService.canManageProduct(product, user)) {
+      throw createError(403, 'You can only view insights for your own products');
+    }
+
+    const to = new Date();
+    const from = new Date(startOfUtcDay(to).getTime() - (days - 1) * DAY_MS);
+    const activeOrderStatuses = { $nin: ['declined', 'cancelled'] };
+
+    const [stats, favoritesAdded, messageStarts, orders] = await Promise.all([
+      ProductStat.find({ product: product._id, day: { $gte: from } }).sort({ day: 1 }).lean(),
+      Favorite.countDocuments({ product: product._id, createdAt: { $gte: from } }),
+      Conversation.countDocuments({ product: product._id, createdAt: { $gte: from } }),
+      Order.countDocuments({ product: product._id, createdAt: { $gte: from }, status: activeOrderStatuses })
+    ]);
+
+    const byDay = new Map(stats.map(stat => [stat.day.getTime(), stat]));
+    const series = [];
+    for (let day = from.getTime(); day <= to.getTime(); day += DAY_MS) {
+      const stat = byDay.get(day);
+      series.push({ date: new Date(day), views: stat?.views || 0, impressions: stat?.impressions || 0 });
+    }
+
+    const views = stats.reduce((sum, stat) => sum + stat.views, 0);
+    const impressions = stats.reduce((sum, stat) => sum + stat.impressions, 0);
+    const positionTotal = stats.reduce((sum, stat) => sum + stat.positionTotal, 0);
+    const bestPositions = stats.map(stat => stat.bestPosition).filter(Boolean);
+
+    return {
+      product: { id: product._id, name: product.name, status: product.status },
+      range: { from, to, days },
+      views,
+      favorites: { added: favoritesAdded, total: product.favoriteCount },
+      messageStarts,
+      orders,
+      conversion: {
+        impressionToView: rate(views, impressions),
+        viewToFavorite: rate(favoritesAdded, views),
+        viewToMessage: rate(messageStarts, views),
+        viewToOrder: rate(orders, views)
+      },
+      search: {
+        impressions,
+        averagePosition: impressions > 0 ? Math.round((positionTotal / impressions) * 10) / 10 : null,
+        bestPosition: bestPositions.length > 0 ? Math.min(...bestPositions) : null
+      },
+      series
+    };
+  }
+}
+
+module.exports = new ProductStatsService();
@@ -0,0 +1,218 @@
+const { WebSocketServer, WebSocket } = require('ws');
+const { authenticateToken } = require('../middleware/auth');
+const { calculateDistance } = require('../utils/helpers');
+
+// Drop connections that stop answering pings
+const HEARTBEAT_INTERVAL = 30 * 1000;
+
+// Limits on what a single connection can subscribe to
+const MAX_PRODUCT_SUBSCRIPTIONS = 100;
+const MAX_AREA_SUBSCRIPTIONS = 5;
+const MAX_AREA_RADIUS = 500; // km, same cap as preferences.searchRadius
+
+// Public fields pushed with listing events
+const toProductSummary = (product) => ({
+  _id: product._id,
+  name: product.name,
+  price: product.price,
+  category: product.category,
+  condition: product.condition,
+  status: product.status,
+  location: {
+    lat: product.location?.lat,
+    lng: product.location?.lng,
+    city: product.location?.city
+  },
+  inventory: { quantity: product.inventory?.quantity },
+  images: (product.images || [])
+    .filter(image => image.isPrimary)
+    .slice(0, 1)
+    .map(image => ({ url: image.url, thumbnailUrl: image.thumbnailUrl, alt: image.alt, isPrimary: true })),
+  createdBy: product.createdBy?._id || product.createdBy,
+  updatedAt: product.updatedAt
+});
+
+class RealtimeService {
+  constructor() {
+    this.wss = null;
+    this.clients = new Set();
+    this.heartbeat = null;
+  }
+
+  // Attach the WebSocket endpoint to an HTTP server
+  attach(server, path = '/ws') {
+    this.wss = new WebSocketServer({ noServer: true });
+
+    server.on('upgrade', async (req, socket, head) => {
+      const url = new URL(req.url, 'http://localhost');
+      if (url.pathname !== path) {
+        socket.destroy();
+        return;
+      }
+
+      // Browsers can't set headers on a WebSocket, so the JWT travels as ?token=
+      let user = null;
+      const token = url.searchParams.get('token');
+      if (token) {
+        try {
+          ({ user } = await authenticateToken(token));
+        } catch (error) {
+          socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+          socket.destroy();
+          return;
+        }
+      }
+
+      this.wss.handleUpgrade(req, socket, head, (ws) => this.handleConnection(ws, user));
+    });
+
+    this.heartbeat = setInterval(() => {
+      this.clients.forEach((ws) => {
+        if (!ws.isAlive) {
+          ws.terminate();
+          return;
+        }
+        ws.isAlive = false;
+        ws.ping();
+      });
+    }, HEARTBEAT_INTERVAL);
+
+    server.on('close', () => this.close());
+  }
+
+  // Stop the heartbeat and close every connection
+  close() {
+    clearInterval(this.heartbeat);
+    this.clients.forEach(ws => ws.terminate());
+    this.clients.clear();
+    if (this.wss) this.wss.close();
+  }
+
+  handleConnection(ws, user) {
+    ws.user = user ? { id: user._id.toString(), role: user.role } : null;
+    ws.subscriptions = { products: new Set(), areas: [] };
+    ws.isAlive = true;
+
+    ws.on('pong', () => { ws.isAlive = true; });
+    ws.on('message', data => this.handleMessage(ws, data));
+    ws.on('close', () => this.clients.delete(ws));
+    ws.on('error', (error) => console.error('Realtime socket error:', error));
+
+    this.clients.add(ws);
+    this.send(ws, { type: 'welcome', user: ws.user ? ws.user.id : null });
+  }
+
+  handleMessage(ws, data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      return this.send(ws, { type: 'error', error: 'Messages must be JSON' });
+    }
+
+    try {
+      if (message.type === 'subscribe') {
+        this.subscribe(ws, message);
+      } else if (message.type === 'unsubscribe') {
+        this.unsubscribe(ws, message);
+      } else {
+        throw new Error(`Unknown message type: ${message.type}`);
+      }
+      this.send(ws, { type: `${message.type}d`, channel: message.channel, id: message.id });
+    } catch (error) {
+      this.send(ws, { type: 'error', error: error.message });
+    }
+  }
+
+  subscribe(ws, message) {
+    const { channel } = message;
+
+    if (channel === 'user') {
+      // Authenticated sockets always receive their own user channel
+      if (!ws.user) throw new Error('Authentication required for the user channel');
+      return;
+    }
+
+    if (channel === 'product') {
+      if (typeof message.id !== 'string' || !message.id) throw new Error('Product id is required');
+      if (ws.subscriptions.products.size >= MAX_PRODUCT_SUBSCRIPTIONS) {
+        throw new Error('Too many product subscriptions');
+      }
+      ws.subscriptions.products.add(message.id);
+      return;
+    }
+
+    if (channel === 'area') {
+      const lat = Number(message.lat);
+      const lng = Number(message.lng);
+      const radius = Number(message.radius);
+
+      if (!Number.isFinite(lat) || !Number.isFinite(lng) || !Number.isFinite(radius) || radius <= 0) {
+        throw new Error('Area subscriptions need numeric lat, lng and radius');
+      }
+      if (ws.subscriptions.areas.length >= MAX_AREA_SUBSCRIPTIONS) {
+        throw new Error('Too many area subscriptions');
+      }
+      ws.subscriptions.areas.push({ lat, lng, radius: Math.min(radius, MAX_AREA_RADIUS) });
+      return;
+    }
+
+    throw new Error(`Unknown channel: ${channel}`);
+  }
+
+  unsubscribe(ws, message) {
+    if (message.channel === 'product') {
+      ws.subscriptions.products.delete(message.id);
+    } else if (message.channel === 'area') {
+      ws.subscriptions.areas = [];
+    } else {
+      throw new Error(`Cannot unsubscribe from channel: ${message.channel}`);
+    }
+  }
+
+  send(ws, payload) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(payload));
+    }
+  }
+
+  // Push an event to every connection of a user
+  notifyUser(userId, event, data) {
+    const id = userId.toString();
+    this.clients.forEach((ws) => {
+      if (ws.user && ws.user.id === id) {
+        this.send(ws, { type: 'event', channel: 'user', event, data });
+      }
+    });
+  }
+
+  // Push a listing event to product and area subscribers
+  publishProductEvent(event, product) {
+    if (this.clients.size === 0) return;
+
+    // Hidden listings aren't broadcast, apart from the event that takes them down
+    if (product.moderation?.hidden && event !== 'product.hidden') return;
+
+    const summary = toProductSummary(product);
+    const productId = summary._id.toString();
+    const { lat, lng } = summary.location;
+
+    this.clients.forEach((ws) => {
+      const { products, areas } = ws.subscriptions;
+
+      if (products.has(productId)) {
+        this.send(ws, { type: 'event', channel: 'product', event, data: summary });
+        return;
+      }
+
+      const inArea = lat !== undefined && lng !== undefined && areas.some(area =>
+        calculateDistance(area.lat, area.lng, lat, lng) <= area.radius
+      );
+      if (inArea) {
+        this.send(ws, { type: 'event', channel: 'area', event, data: summary });
+      }
+    });
+  }
+}
+
+module.exports = new RealtimeService();
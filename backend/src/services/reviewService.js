@@ -0,0 +1,225 @@
+const mongoose = require('mongoose');
+const Review = require('../models/Review');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const notificationService = require('./notificationService');
+const { createError } = require('../utils/helpers');
+
+// Fields reviews can be sorted on
+const SORT_FIELDS = ['createdAt', 'rating', 'helpfulCount'];
+
+class ReviewService {
+  // Recompute product and seller rating aggregates inside the given session
+  async recomputeAggregates(productId, sellerId, session) {
+    const productStats = await Review.computeAggregates({ product: productId }, session);
+    await Product.updateOne(
+      { _id: productId },
+      { $set: { 'ratings.average': productStats.average, 'ratings.count': productStats.count } },
+      { session }
+    );
+
+    const sellerStats = await Review.computeAggregates({ seller: sellerId }, session);
+    await User.updateOne(
+      { _id: sellerId },
+      { $set: { 'stats.rating': sellerStats.average, 'stats.reviewCount': sellerStats.count } },
+      { session }
+    );
+  }
+
+  // Create a review for a product (one per user per product)
+  async createReview(productId, reviewData, userId) {
+    const product = await Product.findById(productId).select('createdBy name');
+
+    if (!product) {
+      throw createError(404, 'Product not found');
+    }
+
+    if (product.createdBy.toString() === userId.toString()) {
+      throw createError(403, 'You cannot review your own product');
+    }
+
+    const existing = await Review.exists({ product: productId, reviewer: userId });
+    if (existing) {
+      throw createError(409, 'You have already reviewed this product');
+    }
+
+    const { rating, title, comment } = reviewData;
+    const session = await mongoose.startSession();
+
+    try {
+      let review;
+      await session.withTransaction(async () => {
+        [review] = await Review.create([{
+          product: product._id,
+          reviewer: userId,
+          seller: product.createdBy,
+          rating,
+          title,
+          comment
+        }], { session });
+
+        await this.recomputeAggregates(product._id, product.createdBy, session);
+      });
+
+      notificationService.dispatch(product.createdBy, 'review.created', {
+        title: `New ${rating}-star review`,
+        body: `${product.name} received a new review${title ? `: ${title}` : '.'}`,
+        path: `/products/${product._id}`,
+        data: { productId: product._id, reviewId: review._id }
+      });
+
+      return review;
+    } catch (error) {
+      if (error.code === 11000) {
+        throw createError(409, 'You have already reviewed this product');
+      }
+      throw error;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  // Update a review (author only)
+  async updateReview(reviewId, updateData, userId) {
+    const review = await Review.findById(reviewId);
+
+    if (!review) {
+      throw createError(404, 'Review not found');
+    }
+
+    if (review.reviewer.toString() !== userId.toString()) {
+      throw createError(403, 'You can only edit your own reviews');
+    }
+
+    const { rating, title, comment } = updateData;
+    if (rating !== undefined) review.rating = rating;
+    if (title !== undefined) review.title = title;
+    if (comment !== undefined) review.comment = comment;
+
+    const session = await mongoose.startSession();
+
+    try {
+      await session.withTransaction(async () => {
+        await review.save({ session });
+        await this.recomputeAggregates(review.product, review.seller, session);
+      });
+      return review;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  // Delete a review (author, or admin/moderator)
+  async deleteReview(reviewId, user) {
+    const review = await Review.findById(reviewId);
+
+    if (!review) {
+      throw createError(404, 'Review not found');
+    }
+
+    const isAuthor = review.reviewer.toString() === user.id.toString();
+    if (!isAuthor && !['admin', 'moderator'].includes(user.role)) {
+      throw createError(403, 'You can only delete your own reviews');
+    }
+
+    const session = await mongoose.startSession();
+
+    try {
+      await session.withTransaction(async () => {
+        await Review.deleteOne({ _id: review._id }, { session });
+        await this.recomputeAggregates(review.product, review.seller, session);
+      });
+      return { message: 'Review deleted successfully' };
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  // Mark a review as helpful; each user counts once
+  async addHelpfulVote(reviewId, userId) {
+    const review = await Review.findById(reviewId).select('reviewer');
+
+    if (!review) {
+      throw createError(404, 'Review not found');
+    }
+
+    if (review.reviewer.toString() === userId.toString()) {
+      throw createError(403, 'You cannot vote on your own review');
+    }
+
+    const updated = await Review.findOneAndUpdate(
+      { _id: reviewId, helpfulVotes: { $ne: userId } },
+      { $push: { helpfulVotes: userId }, $inc: { helpfulCount: 1 } },
+      { new: true }
+    ).select('-helpfulVotes');
+
+    return updated || Review.findById(reviewId).select('-helpfulVotes');
+  }
+
+  // Withdraw a helpful vote
+  async removeHelpfulVote(reviewId, userId) {
+    const updated = await Review.findOneAndUpdate(
+      { _id: reviewId, helpfulVotes: userId },
+      { $pull: { helpfulVotes: userId }, $inc: { helpfulCount: -1 } },
+      { new: true }
+    ).select('-helpfulVotes');
+
+    if (updated) return updated;
+
+    const review = await Review.findById(reviewId).select('-helpfulVotes');
+    if (!review) {
+      throw createError(404, 'Review not found');
+    }
+    return review;
+  }
+
+  // List reviews matching a filter with sorting and pagination
+  async listReviews(match, options = {}) {
+    const {
+      page = 1,
+      limit = 20,
+      sortBy = 'createdAt',
+      sortOrder = 'desc'
+    } = options;
+
+    const sortField = SORT_FIELDS.includes(sortBy) ? sortBy : 'createdAt';
+    const sort = { [sortField]: sortOrder === 'asc' ? 1 : -1 };
+    if (sortField !== 'createdAt') sort.createdAt = -1;
+
+    const reviews = await Review.find(match)
+      .select('-helpfulVotes')
+      .sort(sort)
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('reviewer', 'name profile.avatar')
+      .populate('product', 'name images');
+
+    const total = await Review.countDocuments(match);
+
+    return {
+      reviews,
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Get reviews for a product
+  async getProductReviews(productId, options = {}) {
+    const product = await Product.exists({ _id: productId });
+    if (!product) {
+      throw createError(404, 'Product not found');
+    }
+    return this.listReviews({ product: productId }, options);
+  }
+
+  // Get reviews received by a seller
+  async getSellerReviews(sellerId, options = {}) {
+    return this.listReviews({ seller: sellerId }, options);
+  }
+}
+
+module.exports = new ReviewService();
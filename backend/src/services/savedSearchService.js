@@ -0,0 +1,162 @@
+const SavedSearch = require('../models/SavedSearch');
+const notificationService = require('./notificationService');
+const { createError, calculateDistance } = require('../utils/helpers');
+
+const MAX_SAVED_SEARCHES = 20;
+const CRITERIA_FIELDS = ['text', 'category', 'condition', 'minPrice', 'maxPrice', 'lat', 'lng', 'radius'];
+const NUMERIC_FIELDS = ['minPrice', 'maxPrice', 'lat', 'lng', 'radius'];
+
+// Keep known criteria only, with numbers coerced from query-string style input
+const normalizeCriteria = (input = {}) => {
+  const criteria = {};
+  CRITERIA_FIELDS.forEach(field => {
+    const value = input[field];
+    if (value === undefined || value === null || value === '') return;
+    criteria[field] = NUMERIC_FIELDS.includes(field) ? Number(value) : String(value);
+  });
+  return criteria;
+};
+
+// Lowercase words of the saved text query
+const tokenize = (text) => (text || '').toLowerCase().split(/[^a-z0-9]+/).filter(token => token.length > 1);
+
+class SavedSearchService {
+  // Save a search for the user
+  async createSavedSearch(userId, { name, criteria, alertsEnabled }) {
+    const count = await SavedSearch.countDocuments({ user: userId });
+    if (count >= MAX_SAVED_SEARCHES) {
+      throw createError(400, `You can save at most ${MAX_SAVED_SEARCHES} searches`);
+    }
+
+    const normalized = normalizeCriteria(criteria);
+    if (Object.keys(normalized).length === 0) {
+      throw createError(400, 'At least one search criterion is required');
+    }
+
+    const savedSearch = new SavedSearch({
+      user: userId,
+      name: name || normalized.text || normalized.category || 'Saved search',
+      criteria: normalized,
+      alertsEnabled
+    });
+    await savedSearch.save();
+    return savedSearch;
+  }
+
+  // List the user's saved searches
+  async listSavedSearches(userId) {
+    return SavedSearch.find({ user: userId }).sort({ createdAt: -1 });
+  }
+
+  // Get one of the user's saved searches
+  async getSavedSearch(id, userId) {
+    const savedSearch = await SavedSearch.findOne({ _id: id, user: userId });
+    if (!savedSearch) {
+      throw createError(404, 'Saved search not found');
+    }
+    return savedSearch;
+  }
+
+  // Rename a saved search, change its criteria or toggle alerts
+  async updateSavedSearch(id, userId, { name, criteria, alertsEnabled }) {
+    const savedSearch = await this.getSavedSearch(id, userId);
+
+    if (name !== undefined) savedSearch.name = name;
+    if (alertsEnabled !== undefined) savedSearch.alertsEnabled = alertsEnabled;
+    if (criteria !== undefined) savedSearch.criteria = normalizeCriteria(criteria);
+
+    await savedSearch.save();
+    return savedSearch;
+  }
+
+  // Delete a saved search
+  async deleteSavedSearch(id, userId) {
+    const result = await SavedSearch.deleteOne({ _id: id, user: userId });
+    if (result.deletedCount === 0) {
+      throw createError(404, 'Saved search not found');
+    }
+    return { message: 'Saved search deleted successfully' };
+  }
+
+  // Translate saved criteria into ProductService.searchProducts filters
+  toSearchFilters(criteria) {
+    const filters = { ...criteria, status: 'active' };
+    delete filters.lat;
+    delete filters.lng;
+    if (criteria.lat !== undefined && criteria.lng !== undefined && criteria.radius) {
+      filters.location = { lat: criteria.lat, lng: criteria.lng };
+    }
+    return filters;
+  }
+
+  // Check the parts of a search Mongo can't pre-filter: text words and distance
+  matchesProduct(criteria, product) {
+    const tokens = tokenize(criteria.text);
+    if (tokens.length > 0) {
+      const haystack = [product.name, product.description, product.brand, ...(product.tags || [])]
+        .filter(Boolean)
+        .join(' ')
+        .toLowerCase();
+      if (!tokens.every(token => haystack.includes(token))) return false;
+    }
+
+    if (criteria.radius && criteria.lat !== undefined && criteria.lng !== undefined) {
+      const distance = calculateDistance(criteria.lat, criteria.lng, product.location.lat, product.location.lng);
+      if (distance > criteria.radius) return false;
+    }
+
+    return true;
+  }
+
+  // Alert owners of saved searches matching a new or price-dropped listing
+  async alertMatches(product, reason = 'new') {
+    if (product.status !== 'active' || product.moderation?.hidden) return 0;
+
+    const candidates = await SavedSearch.find({
+      alertsEnabled: true,
+      user: { $ne: product.createdBy },
+      $and: [
+        { $or: [{ 'criteria.category': null }, { 'criteria.category': product.category }] },
+        { $or: [{ 'criteria.condition': null }, { 'criteria.condition': product.condition }] },
+        { $or: [{ 'criteria.minPrice': null }, { 'criteria.minPrice': { $lte: product.price } }] },
+        { $or: [{ 'criteria.maxPrice': null }, { 'criteria.maxPrice': { $gte: product.price } }] }
+      ]
+    }).lean();
+
+    const matches = candidates.filter(savedSearch => this.matchesProduct(savedSearch.criteria, product));
+
+    // One alert per user even if several of their searches match
+    const byUser = new Map();
+    matches.forEach(savedSearch => {
+      const key = savedSearch.user.toString();
+      if (!byUser.has(key)) byUser.set(key, savedSearch);
+    });
+
+    await Promise.all([...byUser.values()].map(savedSearch => {
+      const title = reason === 'price-drop'
+        ? `Price drop for "${savedSearch.name}"`
+        : `New match for "${savedSearch.name}"`;
+      const body = reason === 'price-drop'
+        ? `${product.name} is now $${product.price}.`
+        : `${product.name} was just listed for $${product.price}.`;
+
+      return notificationService.notify(savedSearch.user, 'savedSearch.match', {
+        title,
+        body,
+        path: `/products/${product._id}`,
+        data: { savedSearchId: savedSearch._id, productId: product._id, reason }
+      });
+    }));
+
+    if (matches.length > 0) {
+      await SavedSearch.updateMany(
+        { _id: { $in: matches.map(savedSearch => savedSearch._id) } },
+        { $set: { lastAlertAt: new Date() }, $inc: { alertCount: 1 } }
+      );
+    }
+
+    return byUser.size;
+  }
+}
+
+module.exports = new SavedSearchService();
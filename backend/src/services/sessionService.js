@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { createError } = require('../utils/helpers');
+
+const REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(a || '');
+  const right = Buffer.from(b || '');
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// Refresh tokens carry their session id so lookups don't need to scan hashes
+const buildRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(48).toString('base64url')}`;
+
+class SessionService {
+  // Start a session for a device and return its first token pair
+  async createSession(user, req) {
+    const session = new Session({
+      user: user._id,
+      refreshTokenHash: 'pending',
+      userAgent: req.get('User-Agent'),
+      ip: req.ip,
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL)
+    });
+
+    const refreshToken = buildRefreshToken(session._id);
+    session.refreshTokenHash = hashToken(refreshToken);
+    await session.save();
+
+    return {
+      session,
+      token: user.generateAuthToken(session._id),
+      refreshToken
+    };
+  }
+
+  // Exchange a refresh token for a new pair, rotating the refresh token
+  async refreshSession(refreshToken, req) {
+    const [sessionId] = String(refreshToken).split('.');
+    const session = await Session.findById(sessionId).catch(() => null);
+
+    if (!session || session.isExpired) {
+      throw createError(401, 'Session has expired. Please log in again.');
+    }
+
+    const presentedHash = hashToken(refreshToken);
+
+    // A rotated-out token coming back means it was copied; end the session for everyone
+    if (safeEqual(presentedHash, session.previousTokenHash)) {
+      await Session.deleteOne({ _id: session._id });
+      throw createError(401, 'Refresh token reuse detected. Please log in again.');
+    }
+
+    if (!safeEqual(presentedHash, session.refreshTokenHash)) {
+      throw createError(401, 'Invalid refresh token');
+    }
+
+    const user = await User.findById(session.user);
+    if (!user || user.isLocked() || user.isSuspended()) {
+      await Session.deleteOne({ _id: session._id });
+      throw createError(401, 'Session is no longer valid. Please log in again.');
+    }
+
+    const nextRefreshToken = buildRefreshToken(session._id);
+    session.previousTokenHash = session.refreshTokenHash;
+    session.refreshTokenHash = hashToken(nextRefreshToken);
+    session.lastUsedAt = new Date();
+    session.userAgent = req.get('User-Agent') || session.userAgent;
+    session.ip = req.ip;
+    session.expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL);
+    await session.save();
+
+    return {
+      token: user.generateAuthToken(session._id),
+      refreshToken: nextRefreshToken
+    };
+  }
+
+  // Check an access token's session is still live
+  async isSessionActive(sessionId, userId) {
+    const session = await Session.findOne({ _id: sessionId, user: userId }).select('expiresAt');
+    return !!session && !session.isExpired;
+  }
+
+  // List a user's sessions, flagging the one making the request
+  async listSessions(userId, currentSessionId) {
+    const sessions = await Session.find({ user: userId, expiresAt: { $gt: new Date() } })
+      .select('userAgent ip createdAt lastUsedAt expiresAt')
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    return sessions.map(session => ({
+      ...session,
+      current: currentSessionId ? session._id.toString() === currentSessionId.toString() : false
+    }));
+  }
+
+  // Revoke one of the user's sessions
+  async revokeSession(userId, sessionId) {
+    const result = await Session.deleteOne({ _id: sessionId, user: userId });
+
+    if (result.deletedCount === 0) {
+      throw createError(404, 'Session not found');
+    }
+
+    return { message: 'Session revoked' };
+  }
+
+  // Revoke every session a user has (e.g. after a password change)
+  async revokeAllSessions(userId) {
+    const result = await Session.deleteMany({ user: userId });
+    return { revoked: result.deletedCount };
+  }
+}
+
+module.exports = new SessionService();
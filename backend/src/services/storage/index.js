@@ -0,0 +1,21 @@
+const { createLocalStorage } = require('./localStorage');
+const { createS3Storage } = require('./s3Storage');
+
+// Storage adapters expose put(key, buffer, contentType) -> public URL, and remove(key).
+// STORAGE_DRIVER picks one: local (default) or s3.
+const createStorage = (driver = process.env.STORAGE_DRIVER || 'local') => {
+  switch (driver) {
+    case 'local':
+      return createLocalStorage();
+    case 's3':
+      return createS3Storage();
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+};
+
+module.exports = {
+  createStorage,
+  createLocalStorage,
+  createS3Storage
+};
@@ -0,0 +1,24 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Store files on local disk; index.js serves them under the public base URL
+const createLocalStorage = ({
+  directory = process.env.UPLOAD_DIR || 'uploads',
+  publicBaseUrl = process.env.UPLOAD_BASE_URL || '/uploads'
+} = {}) => ({
+  name: 'local',
+  directory,
+
+  async put(key, buffer) {
+    const filePath = path.join(directory, key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+    return `${publicBaseUrl}/${key}`;
+  },
+
+  async remove(key) {
+    await fs.rm(path.join(directory, key), { force: true });
+  }
+});
+
+module.exports = { createLocalStorage };
@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const totp = require('../utils/totp');
+const { createError } = require('../utils/helpers');
+
+const SECRET_FIELDS = '+security.twoFactorSecret +security.twoFactorRecoveryCodes +security.twoFactorLastUsedStep';
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_EXPIRY = '5m';
+
+// Recovery codes are random enough that a fast hash is sufficient
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(code.replace(/[\s-]/g, '').toLowerCase())
+  .digest('hex');
+
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+  const raw = crypto.randomBytes(5).toString('hex');
+  return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+});
+
+class TwoFactorService {
+  async loadUser(userId) {
+    const user = await User.findById(userId).select(SECRET_FIELDS);
+    if (!user) {
+      throw createError(404, 'User not found');
+    }
+    return user;
+  }
+
+  // Verify a TOTP code and remember its step so it can't be replayed
+  verifyTotp(user, code) {
+    const step = totp.verifyCode(user.security.twoFactorSecret, code, {
+      lastUsedStep: user.security.twoFactorLastUsedStep ?? -1
+    });
+    if (step === null) return false;
+
+    user.security.twoFactorLastUsedStep = step;
+    return true;
+  }
+
+  // Consume a recovery code; each one works once
+  useRecoveryCode(user, recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const codes = user.security.twoFactorRecoveryCodes || [];
+    if (!codes.includes(hash)) return false;
+
+    user.security.twoFactorRecoveryCodes = codes.filter(code => code !== hash);
+    return true;
+  }
+
+  // Accept either a TOTP code or a recovery code
+  verifySecondFactor(user, { code, recoveryCode }) {
+    if (code) return this.verifyTotp(user, code);
+    if (recoveryCode) return this.useRecoveryCode(user, recoveryCode);
+    return false;
+  }
+
+  issueRecoveryCodes(user) {
+    const recoveryCodes = generateRecoveryCodes();
+    user.security.twoFactorRecoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    return recoveryCodes;
+  }
+
+  // Generate a pending secret; 2FA stays off until the first code is confirmed
+  async beginSetup(userId) {
+    const user = await this.loadUser(userId);
+
+    if (user.security.twoFactorEnabled) {
+      throw createError(409, 'Two-factor authentication is already enabled');
+    }
+
+    const secret = totp.generateSecret();
+    user.security.twoFactorSecret = secret;
+    user.security.twoFactorLastUsedStep = undefined;
+    await user.save();
+
+    return {
+      secret,
+      otpauthUrl: totp.buildOtpauthUri(secret, user.email)
+    };
+  }
+
+  // Turn 2FA on once the user proves their authenticator works
+  async confirmSetup(userId, code) {
+    const user = await this.loadUser(userId);
+
+    if (user.security.twoFactorEnabled) {
+      throw createError(409, 'Two-factor authentication is already enabled');
+    }
+
+    if (!user.security.twoFactorSecret) {
+      throw createError(400, 'Start two-factor setup first');
+    }
+
+    if (!this.verifyTotp(user, code)) {
+      throw createError(400, 'Invalid two-factor code');
+    }
+
+    user.security.twoFactorEnabled = true;
+    const recoveryCodes = this.issueRecoveryCodes(user);
+    await user.save();
+
+    return { recoveryCodes };
+  }
+
+  // Turn 2FA off; requires the password and a second factor
+  async disable(userId, password, factors) {
+    const user = await this.loadUser(userId);
+
+    if (!user.security.twoFactorEnabled) {
+      throw createError(400, 'Two-factor authentication is not enabled');
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid) {
+      throw createError(401, 'Password is incorrect');
+    }
+
+    if (!this.verifySecondFactor(user, factors)) {
+      throw createError(401, 'Invalid two-factor code');
+    }
+
+    user.security.twoFactorEnabled = false;
+    user.security.twoFactorSecret = undefined;
+    user.security.twoFactorRecoveryCodes = [];
+    user.security.twoFactorLastUsedStep = undefined;
+    await user.save();
+
+    return { message: 'Two-factor authentication disabled' };
+  }
+
+  // Replace all recovery codes
+  async regenerateRecoveryCodes(userId, code) {
+    const user = await this.loadUser(userId);
+
+    if (!user.security.twoFactorEnabled) {
+      throw createError(400, 'Two-factor authentication is not enabled');
+    }
+
+    if (!this.verifyTotp(user, code)) {
+      throw createError(401, 'Invalid two-factor code');
+    }
+
+    const recoveryCodes = this.issueRecoveryCodes(user);
+    await user.save();
+
+    return { recoveryCodes };
+  }
+
+  // Short-lived token proving the password step of a login succeeded
+  createChallenge(user) {
+    return jwt.sign(
+      { id: user._id, type: '2fa-challenge' },
+      process.env.JWT_SECRET,
+      { expiresIn: CHALLENGE_EXPIRY }
+    );
+  }
+
+  // Exchange a challenge token and a second factor for the user
+  async completeChallenge(challengeToken, factors) {
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      throw createError(401, 'Two-factor challenge is invalid or has expired. Please log in again.');
+    }
+
+    if (decoded.type !== '2fa-challenge') {
+      throw createError(401, 'Invalid token type');
+    }
+
+    const user = await this.loadUser(decoded.id);
+
+    if (user.isLocked()) {
+      throw createError(423, 'Account is temporarily locked due to multiple failed login attempts');
+    }
+
+    if (!user.security.twoFactorEnabled) {
+      throw createError(400, 'Two-factor authentication is not enabled');
+    }
+
+    if (!this.verifySecondFactor(user, factors)) {
+      await user.incLoginAttempts();
+      throw createError(401, 'Invalid two-factor code');
+    }
+
+    await user.save();
+    return user;
+  }
+}
+
+module.exports = new TwoFactorService();
@@ -0,0 +1,80 @@
+// Minimal RFC 4180 CSV reading and writing for product import/export
+
+// Parse CSV text into rows of string fields. Handles quoted fields with commas,
+// escaped quotes ("") and line breaks, CRLF line endings and a leading BOM.
+const parseCsv = (text) => {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('CSV ends inside a quoted field');
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines carry no data
+  return rows.filter(fields => fields.length > 1 || fields[0] !== '');
+};
+
+// Text a spreadsheet would run as a formula; such cells get a leading ' so they open as text.
+// Only strings are neutralised, so negative numbers (e.g. longitudes) export as numbers.
+// Values already starting with ' before such a character get one more, so reading a cell
+// back with unescapeCsvValue always returns the original value.
+const FORMULA_PREFIX = /^'*[=+\-@\t\r]/;
+
+// Quote a value when it contains a delimiter, quote or line break
+const escapeCsvValue = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Undo escapeCsvValue's formula guard on a parsed cell
+const unescapeCsvValue = (cell) => (cell.startsWith("'") && FORMULA_PREFIX.test(cell) ? cell.slice(1) : cell);
+
+// Format one CSV line (with trailing CRLF)
+const toCsvLine = (values) => `${values.map(escapeCsvValue).join(',')}\r\n`;
+
+module.exports = {
+  parseCsv,
+  escapeCsvValue,
+  unescapeCsvValue,
+  toCsvLine
+};
@@ -31,6 +31,16 @@ const sanitizeInput = (input) => {
   return input.trim().replace(/[<>]/g, '');
 };
 
+// Escape regex metacharacters so user text matches literally
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Coerce query-string style input to a finite number, or undefined
+const toFiniteNumber = (value) => {
+  if (value === undefined || value === null || value === '' || typeof value === 'object') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+};
+
 // Validate email format
 const isValidEmail = (email) => {
   const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -53,11 +63,21 @@ const getPaginationInfo = (page, limit, total) => {
   };
 };
 
+// Create an error carrying the HTTP status the route should respond with
+const createError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
 module.exports = {
   generateSKU,
   formatPrice,
   calculateDistance,
   sanitizeInput,
+  escapeRegex,
+  toFiniteNumber,
   isValidEmail,
-  getPaginationInfo
+  getPaginationInfo,
+  createError
 }; 
\ No newline at end of file
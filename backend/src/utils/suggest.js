@@ -0,0 +1,122 @@
+// Tokens and scoring for search suggestions (GET /api/products/suggest)
+//
+// Each product stores suggestTokens built from its name, brand, tags and category:
+// "p:<prefix>" for every word prefix (typeahead) and "t:<trigram>" for every word
+// trigram (typo tolerance). A query looks up candidates by the same tokens, then
+// scoreTerm ranks the candidate terms by prefix match and edit distance.
+
+const MAX_PREFIX_LENGTH = 15;
+
+// Fields suggestions are drawn from
+const SUGGEST_FIELDS = ['name', 'brand', 'tags', 'category'];
+
+// Lowercase, strip accents and punctuation
+const normalize = (text) => String(text)
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+const toWords = (text) => normalize(text).split(' ').filter(Boolean);
+
+// Trigrams of a word, with a start marker so short words and word starts count too
+const trigrams = (word) => {
+  const padded = `^${word}`;
+  const grams = [];
+  for (let i = 0; i + 3 <= padded.length; i++) {
+    grams.push(padded.slice(i, i + 3));
+  }
+  return grams;
+};
+
+// Tokens stored on a product for the given field values
+const buildSuggestTokens = ({ name, brand, tags = [], category }) => {
+  const tokens = new Set();
+  [name, brand, ...tags, category].filter(Boolean).forEach(value => {
+    toWords(value).forEach(word => {
+      const capped = word.slice(0, MAX_PREFIX_LENGTH);
+      for (let length = 1; length <= capped.length; length++) {
+        tokens.add(`p:${capped.slice(0, length)}`);
+      }
+      trigrams(word).forEach(gram => tokens.add(`t:${gram}`));
+    });
+  });
+  return [...tokens];
+};
+
+// Tokens to look candidates up by for a query's words
+const buildQueryTokens = (queryWords) => {
+  const tokens = new Set();
+  queryWords.forEach(word => {
+    tokens.add(`p:${word.slice(0, MAX_PREFIX_LENGTH)}`);
+    trigrams(word).forEach(gram => tokens.add(`t:${gram}`));
+  });
+  return [...tokens];
+};
+
+// Optimal string alignment distance: insertions, deletions, substitutions and adjacent swaps
+const editDistance = (a, b) => {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+};
+
+// Typos tolerated in a query word: none for short words, more for long ones
+const allowedTypos = (word) => {
+  if (word.length >= 8) return 2;
+  if (word.length >= 4) return 1;
+  return 0;
+};
+
+// Typos between a query word and a term word, or Infinity if too many. The last query
+// word may still be being typed, so it only has to match the start of the term word.
+const wordTypos = (queryWord, termWord, isLast) => {
+  if (queryWord === termWord || (isLast && termWord.startsWith(queryWord))) return 0;
+
+  const distance = isLast ?
+    Math.min(editDistance(queryWord, termWord), editDistance(queryWord, termWord.slice(0, queryWord.length))) :
+    editDistance(queryWord, termWord);
+  return distance <= allowedTypos(queryWord) ? distance : Infinity;
+};
+
+// Score how well a term completes the query (higher is better); 0 means no match
+const scoreTerm = (queryWords, term) => {
+  const query = queryWords.join(' ');
+  const termWords = toWords(term);
+  const normalized = termWords.join(' ');
+
+  if (normalized === query) return 100;
+  if (normalized.startsWith(query)) return 90;
+
+  // Every query word must match some word of the term, allowing for typos
+  let typos = 0;
+  for (let i = 0; i < queryWords.length; i++) {
+    const isLast = i === queryWords.length - 1;
+    const best = Math.min(...termWords.map(termWord => wordTypos(queryWords[i], termWord, isLast)));
+    if (best === Infinity) return 0;
+    typos += best;
+  }
+
+  const startsTerm = wordTypos(queryWords[0], termWords[0], queryWords.length === 1) === 0;
+  return 70 - typos * 15 + (startsTerm ? 5 : 0);
+};
+
+module.exports = {
+  SUGGEST_FIELDS,
+  toWords,
+  buildSuggestTokens,
+  buildQueryTokens,
+  editDistance,
+  scoreTerm
+};
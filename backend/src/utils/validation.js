@@ -1,28 +1,386 @@
 const Joi = require('joi');
 
+const CATEGORIES = ['electronics', 'clothing', 'books', 'sports', 'home', 'automotive', 'health', 'beauty', 'food', 'other'];
+const CONDITIONS = ['new', 'like-new', 'good', 'fair', 'poor'];
+const PRODUCT_STATUSES = ['active', 'inactive', 'sold', 'reserved'];
+const ORDER_STATUSES = ['pending', 'accepted', 'declined', 'fulfilled', 'cancelled'];
+const NOTIFICATION_CHANNELS = ['inApp', 'email', 'push', 'sms'];
+const REPORT_REASONS = ['spam', 'scam', 'prohibited-item', 'counterfeit', 'offensive', 'harassment', 'other'];
+
+// Fields product searches may sort on; relevance needs a text query
+const PRODUCT_SORT_FIELDS = ['relevance', 'createdAt', 'updatedAt', 'price', 'name', 'ratings.average', 'discountPercentage', 'favoriteCount', 'distance'];
+
+// Upper bounds for paginated lists, so a request can't ask for huge pages or skips
+const MAX_PAGE = 1000;
+const MAX_LIMIT = 100;
+
+// MongoDB ObjectId as a 24 character hex string
+const objectIdSchema = Joi.string().hex().length(24);
+
 // Email validation schema
 const emailSchema = Joi.string().email().required();
 
 // Password validation schema
-const passwordSchema = Joi.string().min(8).pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/).required();
+const passwordSchema = Joi.string().min(8).pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/).required()
+  .messages({ 'string.pattern.base': 'password must contain upper and lower case letters and a number' });
+
+// Page/limit query parameters shared by list routes
+const paginationSchema = {
+  page: Joi.number().integer().min(1).max(MAX_PAGE),
+  limit: Joi.number().integer().min(1).max(MAX_LIMIT)
+};
+
+const sortOrderSchema = Joi.string().valid('asc', 'desc');
+
+// Product pieces
+const productLocationSchema = Joi.object({
+  lat: Joi.number().min(-90).max(90).required(),
+  lng: Joi.number().min(-180).max(180).required(),
+  address: Joi.string().max(200).allow(''),
+  city: Joi.string().max(100).allow(''),
+  state: Joi.string().max(100).allow(''),
+  zipCode: Joi.string().max(20).allow('')
+});
+
+const inventorySchema = Joi.object({
+  quantity: Joi.number().integer().min(0),
+  sku: Joi.string().trim().max(64),
+  lowStockThreshold: Joi.number().integer().min(0)
+});
+
+const shippingSchema = Joi.object({
+  weight: Joi.number().min(0),
+  dimensions: Joi.object({
+    length: Joi.number().min(0),
+    width: Joi.number().min(0),
+    height: Joi.number().min(0)
+  }),
+  freeShipping: Joi.boolean(),
+  shippingCost: Joi.number().min(0)
+});
+
+// Image entries; _id identifies an existing image to keep when replacing the list
+const imageUrlSchema = Joi.string().uri({ allowRelative: true });
+const productImageSchema = Joi.object({
+  _id: objectIdSchema,
+  url: imageUrlSchema.required(),
+  alt: Joi.string().max(200).allow(''),
+  isPrimary: Joi.boolean(),
+  thumbnailUrl: imageUrlSchema,
+  variants: Joi.array().items(Joi.object({
+    url: imageUrlSchema.required(),
+    width: Joi.number().integer().min(1),
+    height: Joi.number().integer().min(1)
+  })),
+  width: Joi.number().integer().min(1),
+  height: Joi.number().integer().min(1)
+});
+
+// Specification names become Map keys, which can't contain dots or start with $
+const specificationsSchema = Joi.object()
+  .pattern(Joi.string().pattern(/^[^$.][^.]*$/).max(100), Joi.string().max(500))
+  .max(50);
+
+const productFields = {
+  name: Joi.string().trim().min(3).max(100),
+  description: Joi.string().max(1000).allow(''),
+  price: Joi.number().positive(),
+  originalPrice: Joi.number().min(0),
+  category: Joi.string().valid(...CATEGORIES),
+  subcategory: Joi.string().max(50),
+  brand: Joi.string().max(50),
+  condition: Joi.string().valid(...CONDITIONS),
+  inventory: inventorySchema,
+  location: productLocationSchema,
+  images: Joi.array().items(productImageSchema).max(12),
+  tags: Joi.array().items(Joi.string().trim().max(30)).max(20),
+  specifications: specificationsSchema,
+  shipping: shippingSchema
+};
 
 // Product validation schema
 const productSchema = Joi.object({
-  name: Joi.string().min(3).max(100).required(),
-  description: Joi.string().max(1000),
-  price: Joi.number().positive().required(),
-  category: Joi.string().valid('electronics', 'clothing', 'books', 'sports', 'home', 'automotive', 'health', 'beauty', 'food', 'other').required(),
-  location: Joi.object({
-    lat: Joi.number().min(-90).max(90).required(),
-    lng: Joi.number().min(-180).max(180).required()
-  }).required()
+  ...productFields,
+  name: productFields.name.required(),
+  price: productFields.price.required(),
+  category: productFields.category.required(),
+  location: productFields.location.required(),
+  status: Joi.string().valid('active', 'inactive')
+});
+
+// Partial product update; server-managed fields sent back by clients are dropped
+const productUpdateSchema = Joi.object({
+  ...productFields,
+  status: Joi.string().valid(...PRODUCT_STATUSES),
+  _id: Joi.any().strip(),
+  __v: Joi.any().strip(),
+  createdBy: Joi.any().strip(),
+  createdAt: Joi.any().strip(),
+  updatedAt: Joi.any().strip(),
+  ratings: Joi.any().strip(),
+  favoriteCount: Joi.any().strip(),
+  moderation: Joi.any().strip()
+}).min(1);
+
+const inventoryUpdateSchema = Joi.object({
+  quantity: Joi.number().integer().min(0).required()
+});
+
+const imageOrderSchema = Joi.object({
+  imageIds: Joi.array().items(objectIdSchema).min(1).required()
+});
+
+// Product queries
+const productSearchQuerySchema = Joi.object({
+  text: Joi.string().trim().max(200),
+  category: Joi.string().valid(...CATEGORIES),
+  subcategory: Joi.string().max(50),
+  brand: Joi.string().max(50),
+  minPrice: Joi.number().min(0),
+  maxPrice: Joi.number().min(0),
+  condition: Joi.string().valid(...CONDITIONS),
+  status: Joi.string().valid(...PRODUCT_STATUSES),
+  minRating: Joi.number().min(0).max(5),
+  inStock: Joi.boolean(),
+  lat: Joi.number().min(-90).max(90).when('sortBy', { is: 'distance', then: Joi.required() }),
+  lng: Joi.number().min(-180).max(180),
+  radius: Joi.number().positive().max(500),
+  sortBy: Joi.string().valid(...PRODUCT_SORT_FIELDS),
+  sortOrder: sortOrderSchema,
+  populate: Joi.string().valid('0', '1'),
+  ...paginationSchema
+}).and('lat', 'lng').with('radius', ['lat', 'lng']);
+
+const suggestQuerySchema = Joi.object({
+  q: Joi.string().trim().min(1).max(100).required(),
+  limit: Joi.number().integer().min(1).max(20)
+});
+
+const trendingQuerySchema = Joi.object({
+  category: Joi.string().valid(...CATEGORIES),
+  limit: Joi.number().integer().min(1).max(50)
+});
+
+const similarQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(50)
+});
+
+const insightsQuerySchema = Joi.object({
+  days: Joi.number().integer().min(1).max(90)
+});
+
+const feedQuerySchema = Joi.object({
+  cursor: Joi.string().max(1000),
+  limit: Joi.number().integer().min(1).max(50),
+  lat: Joi.number().min(-90).max(90),
+  lng: Joi.number().min(-180).max(180),
+  radius: Joi.number().positive().max(500)
+}).and('lat', 'lng').with('radius', ['lat', 'lng']);
+
+const productListQuerySchema = Joi.object({
+  lat: Joi.number().min(-90).max(90),
+  lng: Joi.number().min(-180).max(180),
+  radius: Joi.number().positive().max(500),
+  populate: Joi.string().valid('0', '1'),
+  limit: paginationSchema.limit
+}).and('lat', 'lng').with('radius', ['lat', 'lng']);
+
+const analyticsQuerySchema = Joi.object({
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  interval: Joi.string().valid('day', 'week', 'month'),
+  category: Joi.string().valid(...CATEGORIES),
+  city: Joi.string().max(100)
+});
+
+const importQuerySchema = Joi.object({
+  format: Joi.string().valid('csv', 'ndjson'),
+  dryRun: Joi.boolean()
+});
+
+const exportQuerySchema = Joi.object({
+  format: Joi.string().valid('csv', 'ndjson').default('csv')
+});
+
+const sellerProductsQuerySchema = Joi.object({
+  status: Joi.string().valid(...PRODUCT_STATUSES),
+  ...paginationSchema
+});
+
+// Reviews
+const reviewSchema = Joi.object({
+  rating: Joi.number().integer().min(1).max(5).required(),
+  title: Joi.string().trim().max(100).allow(''),
+  comment: Joi.string().trim().max(2000).allow('')
+});
+
+const reviewUpdateSchema = Joi.object({
+  rating: Joi.number().integer().min(1).max(5),
+  title: Joi.string().trim().max(100).allow(''),
+  comment: Joi.string().trim().max(2000).allow('')
+}).min(1);
+
+const reviewListQuerySchema = Joi.object({
+  sortBy: Joi.string().valid('createdAt', 'rating', 'helpfulCount'),
+  sortOrder: sortOrderSchema,
+  ...paginationSchema
+});
+
+// Orders
+const orderSchema = Joi.object({
+  productId: objectIdSchema.required(),
+  quantity: Joi.number().integer().min(1),
+  note: Joi.string().max(500).allow('')
+});
+
+const orderStatusSchema = Joi.object({
+  reason: Joi.string().max(500).allow('')
+});
+
+const orderListQuerySchema = Joi.object({
+  role: Joi.string().valid('buyer', 'seller'),
+  status: Joi.string().valid(...ORDER_STATUSES),
+  ...paginationSchema
+});
+
+// Conversations
+const messageBodySchema = Joi.string().trim().min(1).max(2000);
+
+const conversationSchema = Joi.object({
+  productId: objectIdSchema.required(),
+  message: messageBodySchema.required()
+});
+
+const messageSchema = Joi.object({
+  message: messageBodySchema.required()
+});
+
+// Favorites
+const favoriteSchema = Joi.object({
+  productId: objectIdSchema.required()
+});
+
+// Saved searches
+const savedSearchCriteriaSchema = Joi.object({
+  text: Joi.string().trim().max(200),
+  category: Joi.string().valid(...CATEGORIES),
+  condition: Joi.string().valid(...CONDITIONS),
+  minPrice: Joi.number().min(0),
+  maxPrice: Joi.number().min(0),
+  lat: Joi.number().min(-90).max(90),
+  lng: Joi.number().min(-180).max(180),
+  radius: Joi.number().min(1).max(500)
+}).and('lat', 'lng', 'radius');
+
+const savedSearchSchema = Joi.object({
+  name: Joi.string().trim().max(100),
+  criteria: savedSearchCriteriaSchema.min(1).required(),
+  alertsEnabled: Joi.boolean()
+});
+
+const savedSearchUpdateSchema = Joi.object({
+  name: Joi.string().trim().max(100),
+  criteria: savedSearchCriteriaSchema.min(1),
+  alertsEnabled: Joi.boolean()
+}).min(1);
+
+// Notifications
+const notificationListQuerySchema = Joi.object({
+  unread: Joi.boolean(),
+  ...paginationSchema
+});
+
+const channelSettingsSchema = Joi.object(
+  Object.fromEntries(NOTIFICATION_CHANNELS.map(channel => [channel, Joi.boolean()]))
+);
+
+const notificationPreferencesSchema = Joi.object({
+  email: Joi.boolean(),
+  push: Joi.boolean(),
+  sms: Joi.boolean(),
+  // Notification types are checked against the Notification model by the service
+  types: Joi.object().pattern(Joi.string().max(50), channelSettingsSchema.allow(null))
+}).min(1);
+
+// Reports and moderation
+const reportSchema = Joi.object({
+  targetType: Joi.string().valid('product', 'user').required(),
+  targetId: objectIdSchema.required(),
+  reason: Joi.string().valid(...REPORT_REASONS).required(),
+  details: Joi.string().trim().max(1000).allow('')
+});
+
+const moderationQueueQuerySchema = Joi.object({
+  targetType: Joi.string().valid('product', 'user'),
+  ...paginationSchema
+});
+
+// Every moderation action has to say why
+const moderationReasonSchema = Joi.string().trim().min(3).max(1000).required();
+
+const moderationActionSchema = Joi.object({
+  reason: moderationReasonSchema
+});
+
+const userModerationSchema = Joi.object({
+  reason: moderationReasonSchema,
+  // Suspensions only; open-ended when left out
+  durationDays: Joi.number().integer().min(1).max(365)
+});
+
+const moderationLogQuerySchema = Joi.object({
+  targetType: Joi.string().valid('product', 'user', 'report'),
+  targetId: objectIdSchema,
+  moderatorId: objectIdSchema,
+  ...paginationSchema
+});
+
+// Users
+const profileSchema = Joi.object({
+  avatar: Joi.string().uri().allow(''),
+  bio: Joi.string().max(500).allow(''),
+  phone: Joi.string().pattern(/^\+?[0-9 ()-]{7,20}$/).allow('')
+    .messages({ 'string.pattern.base': 'phone must be a valid phone number' }),
+  dateOfBirth: Joi.date().iso().max('now'),
+  gender: Joi.string().valid('male', 'female', 'other', 'prefer-not-to-say')
+});
+
+const userLocationSchema = Joi.object({
+  lat: Joi.number().min(-90).max(90),
+  lng: Joi.number().min(-180).max(180),
+  address: Joi.string().max(200).allow(''),
+  city: Joi.string().max(100).allow(''),
+  state: Joi.string().max(100).allow(''),
+  zipCode: Joi.string().max(20).allow(''),
+  country: Joi.string().max(2)
+}).and('lat', 'lng');
+
+const preferencesSchema = Joi.object({
+  notifications: Joi.object({
+    email: Joi.boolean(),
+    push: Joi.boolean(),
+    sms: Joi.boolean()
+  }),
+  privacy: Joi.object({
+    profileVisibility: Joi.string().valid('public', 'friends', 'private'),
+    locationSharing: Joi.boolean(),
+    showEmail: Joi.boolean()
+  }),
+  searchRadius: Joi.number().min(1).max(500),
+  autoDeactivateOutOfStock: Joi.boolean(),
+  preferredCategories: Joi.array().items(Joi.string().valid(...CATEGORIES)).max(CATEGORIES.length),
+  language: Joi.string().max(10),
+  currency: Joi.string().length(3).uppercase()
 });
 
 // User registration schema
 const registerSchema = Joi.object({
-  name: Joi.string().min(2).max(50).required(),
+  name: Joi.string().trim().min(2).max(50).required(),
   email: emailSchema,
-  password: passwordSchema
+  password: passwordSchema,
+  profile: profileSchema,
+  location: userLocationSchema,
+  preferences: preferencesSchema
 });
 
 // Login schema
@@ -31,6 +389,60 @@ const loginSchema = Joi.object({
   password: Joi.string().required()
 });
 
+const twoFactorCodeSchema = Joi.string().trim().pattern(/^\d{6}$/)
+  .messages({ 'string.pattern.base': 'code must be 6 digits' });
+
+const twoFactorLoginSchema = Joi.object({
+  challengeToken: Joi.string().required(),
+  code: twoFactorCodeSchema,
+  recoveryCode: Joi.string().trim().max(50)
+}).xor('code', 'recoveryCode');
+
+const twoFactorConfirmSchema = Joi.object({
+  code: twoFactorCodeSchema.required()
+});
+
+const twoFactorDisableSchema = Joi.object({
+  password: Joi.string().required(),
+  code: twoFactorCodeSchema,
+  recoveryCode: Joi.string().trim().max(50)
+}).xor('code', 'recoveryCode');
+
+const tokenSchema = Joi.object({
+  token: Joi.string().required()
+});
+
+const emailRequestSchema = Joi.object({
+  email: emailSchema
+});
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().required(),
+  newPassword: passwordSchema
+});
+
+const changePasswordSchema = Joi.object({
+  currentPassword: Joi.string().required(),
+  newPassword: passwordSchema
+});
+
+const profileUpdateSchema = Joi.object({
+  profile: profileSchema,
+  location: userLocationSchema,
+  preferences: preferencesSchema
+}).min(1);
+
+const refreshTokenSchema = Joi.object({
+  refreshToken: Joi.string().required()
+});
+
+// Providers add their own parameters (scope, authuser, ...), so only code/state are checked
+const oauthCallbackQuerySchema = Joi.object({
+  code: Joi.string(),
+  state: Joi.string(),
+  error: Joi.string()
+}).unknown(true);
+
 // Validation functions
 const validateEmail = (email) => {
   return emailSchema.validate(email);
@@ -53,9 +465,60 @@ const validateLogin = (loginData) => {
 };
 
 module.exports = {
+  PRODUCT_SORT_FIELDS,
+  MAX_PAGE,
+  MAX_LIMIT,
   validateEmail,
   validatePassword,
   validateProduct,
   validateRegistration,
-  validateLogin
-}; 
\ No newline at end of file
+  validateLogin,
+  schemas: {
+    product: productSchema,
+    productUpdate: productUpdateSchema,
+    inventoryUpdate: inventoryUpdateSchema,
+    imageOrder: imageOrderSchema,
+    productSearchQuery: productSearchQuerySchema,
+    suggestQuery: suggestQuerySchema,
+    trendingQuery: trendingQuerySchema,
+    similarQuery: similarQuerySchema,
+    insightsQuery: insightsQuerySchema,
+    feedQuery: feedQuerySchema,
+    productListQuery: productListQuerySchema,
+    analyticsQuery: analyticsQuerySchema,
+    importQuery: importQuerySchema,
+    exportQuery: exportQuerySchema,
+    sellerProductsQuery: sellerProductsQuerySchema,
+    review: reviewSchema,
+    reviewUpdate: reviewUpdateSchema,
+    reviewListQuery: reviewListQuerySchema,
+    order: orderSchema,
+    orderStatus: orderStatusSchema,
+    orderListQuery: orderListQuerySchema,
+    conversation: conversationSchema,
+    message: messageSchema,
+    favorite: favoriteSchema,
+    savedSearch: savedSearchSchema,
+    savedSearchUpdate: savedSearchUpdateSchema,
+    notificationListQuery: notificationListQuerySchema,
+    notificationPreferences: notificationPreferencesSchema,
+    report: reportSchema,
+    moderationQueueQuery: moderationQueueQuerySchema,
+    moderationAction: moderationActionSchema,
+    userModeration: userModerationSchema,
+    moderationLogQuery: moderationLogQuerySchema,
+    register: registerSchema,
+    login: loginSchema,
+    twoFactorLogin: twoFactorLoginSchema,
+    twoFactorConfirm: twoFactorConfirmSchema,
+    twoFactorDisable: twoFactorDisableSchema,
+    token: tokenSchema,
+    emailRequest: emailRequestSchema,
+    resetPassword: resetPasswordSchema,
+    changePassword: changePasswordSchema,
+    profileUpdate: profileUpdateSchema,
+    refreshToken: refreshTokenSchema,
+    oauthCallbackQuery: oauthCallbackQuerySchema,
+    pagination: Joi.object(paginationSchema)
+  }
+};
@@ -1,42 +1,126 @@
-import React, { useEffect, useState } from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
 import axios from 'axios';
 import ProductMap from '../components/ProductMap';
 import PropTypes from 'prop-types';
+import { connectRealtime } from '../utils/realtime';
 
-const center = {
+// Map center when the browser doesn't share the visitor's location
+const defaultCenter = {
   lat: 37.7749,
   lng: -122.4194
 };
 
+// Radius (km) of the area whose listing changes are pushed live
+const liveRadius = 50;
+
+// Listings per feed page
+const pageSize = 20;
+
+// Events that take a listing off the map
+const removalEvents = ['product.reserved', 'product.sold', 'product.deleted', 'product.hidden'];
+
+// Channels listing events arrive on; the user channel carries orders, messages and notifications
+const listingChannels = ['area', 'product'];
+
+// Why a listing is in the feed
+const reasonLabels = {
+  nearby: 'Near you',
+  similar: 'Like your favorites',
+  fresh: 'Just listed'
+};
+
 function Home() {
+  // The browser's location; undefined while asking, null when unavailable or denied
+  const [position, setPosition] = useState(undefined);
   const [products, setProducts] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
   const [loading, setLoading] = useState(true);
 
+  // Ask the browser for the visitor's location
   useEffect(() => {
-    axios.get(`${process.env.REACT_APP_BACKEND_URL}/api/products`)
+    if (!navigator.geolocation) {
+      setPosition(null);
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) => setPosition({ lat: coords.latitude, lng: coords.longitude }),
+      () => setPosition(null),
+      { timeout: 5000 }
+    );
+  }, []);
+
+  // Load a feed page; signed-in users get it personalized. Without the browser's location
+  // the backend falls back to the user's saved location.
+  const loadFeed = useCallback((cursor) => {
+    const token = localStorage.getItem('token');
+    setLoading(true);
+    return axios.get(`${process.env.REACT_APP_BACKEND_URL}/api/feed`, {
+      params: { lat: position?.lat, lng: position?.lng, limit: pageSize, cursor: cursor || undefined },
+      headers: token ? { Authorization: `Bearer ${token}` } : {}
+    })
       .then(res => {
-        setProducts(res.data);
+        setProducts(current => (cursor ? [...current, ...res.data.products] : res.data.products));
+        setNextCursor(res.data.nextCursor);
         setLoading(false);
       })
       .catch(() => setLoading(false));
-  }, []);
+  }, [position]);
+
+  useEffect(() => {
+    if (position !== undefined) loadFeed(null);
+  }, [position, loadFeed]);
+
+  useEffect(() => {
+    if (!position) return undefined;
+
+    const connection = connectRealtime({
+      subscriptions: [{ channel: 'area', lat: position.lat, lng: position.lng, radius: liveRadius }],
+      onEvent: ({ channel, event, data }) => {
+        if (!listingChannels.includes(channel) || !event.startsWith('product.')) return;
+
+        setProducts(current => {
+          if (removalEvents.includes(event) || data.status !== 'active') {
+            return current.filter(product => product._id !== data._id);
+          }
+
+          // New listings join the feed; updates only refresh listings already shown
+          const exists = current.some(product => product._id === data._id);
+          if (!exists) return event === 'product.created' ? [{ ...data, reason: 'fresh' }, ...current] : current;
+          return current.map(product => (product._id === data._id ? { ...product, ...data } : product));
+        });
+      }
+    });
+
+    return () => connection.close();
+  }, [position]);
 
   return (
     <div>
-      <ProductMap center={center} products={products} />
-      <h2 className="mt-4">Products</h2>
-      {loading ? <div>Loading...</div> : (
-        <ul className="list-group">
-          {products.map(product => (
-            <li key={product._id} className="list-group-item">
-              <strong>{product.name}</strong> - ${product.price} <br />
-              {product.description}
-            </li>
-          ))}
-        </ul>
+      <ProductMap center={position || defaultCenter} products={products} />
+      <h2 className="mt-4">For you</h2>
+      <ul className="list-group">
+        {products.map(product => (
+          <li key={product._id} className="list-group-item">
+            <strong>{product.name}</strong> - ${product.price}
+            {reasonLabels[product.reason] && (
+              <span className="badge bg-secondary ms-2">{reasonLabels[product.reason]}</span>
+            )}
+            {product.distanceKm !== undefined && (
+              <small className="text-muted ms-2">{product.distanceKm} km away</small>
+            )}
+            <br />
+            {product.description}
+          </li>
+        ))}
+      </ul>
+      {loading && <div className="mt-3">Loading...</div>}
+      {!loading && nextCursor && (
+        <button type="button" className="btn btn-outline-primary mt-3" onClick={() => loadFeed(nextCursor)}>
+          Load more
+        </button>
       )}
     </div>
   );
 }
 
-export default Home; 
\ No newline at end of file
+export default Home;
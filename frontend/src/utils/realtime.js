@@ -0,0 +1,46 @@
+// Build the realtime endpoint from the REST backend URL (http -> ws, https -> wss)
+function realtimeUrl(token) {
+  const base = (process.env.REACT_APP_BACKEND_URL || window.location.origin).replace(/^http/, 'ws');
+  const query = token ? `?token=${encodeURIComponent(token)}` : '';
+  return `${base}/ws${query}`;
+}
+
+// Open the realtime channel, re-subscribing and reconnecting with backoff until closed
+export function connectRealtime({ subscriptions = [], onEvent }) {
+  let socket = null;
+  let retryDelay = 1000;
+  let retryTimer = null;
+  let closed = false;
+
+  const open = () => {
+    socket = new WebSocket(realtimeUrl(localStorage.getItem('token')));
+
+    socket.onopen = () => {
+      retryDelay = 1000;
+      subscriptions.forEach(subscription => {
+        socket.send(JSON.stringify({ type: 'subscribe', ...subscription }));
+      });
+    };
+
+    socket.onmessage = (message) => {
+      const payload = JSON.parse(message.data);
+      if (payload.type === 'event') onEvent(payload);
+    };
+
+    socket.onclose = () => {
+      if (closed) return;
+      retryTimer = setTimeout(open, retryDelay);
+      retryDelay = Math.min(retryDelay * 2, 30000);
+    };
+  };
+
+  open();
+
+  return {
+    close() {
+      closed = true;
+      clearTimeout(retryTimer);
+      if (socket) socket.close();
+    }
+  };
+}